@@ -0,0 +1,94 @@
+import { CONFIG } from './constants.js';
+import { EndpointConfig } from './endpointConfig.js';
+import { StateManager } from './stateManager.js';
+import { Utils } from './utils.js';
+
+export const AUTH_RESULTS = {
+  GRANTED: 'granted',
+  INVALID: 'invalid',
+  UNAVAILABLE: 'unavailable'
+};
+
+// Access key validation shared by the widget and the history page.
+// A cold-started server answers with 5xx or not at all, which is not the same as a wrong key.
+export class AuthService {
+  static getKey() {
+    return Utils.getAccessKeyFromUrl() || StateManager.getAccessKey();
+  }
+
+  // Definitive answers are cached for the page load; "unavailable" is checked again on the next call.
+  static validate(key = this.getKey()) {
+    if (!key) return Promise.resolve(AUTH_RESULTS.INVALID);
+
+    if (this.cached?.key === key) return this.cached.result;
+
+    const result = this.requestValidation(key).then(outcome => {
+      if (outcome === AUTH_RESULTS.UNAVAILABLE) this.cached = null;
+      return outcome;
+    });
+    this.cached = { key, result };
+    return result;
+  }
+
+  static async requestValidation(key) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), CONFIG.SERVER_TIMEOUT);
+
+    try {
+      const response = await fetch(EndpointConfig.getApiUrl('/stats'), {
+        method: 'GET',
+        headers: EndpointConfig.getHeaders(key),
+        mode: 'cors',
+        cache: 'no-cache',
+        signal: controller.signal
+      });
+
+      if (response.status === 0 || response.status >= 500) {
+        console.error(`Server unavailable, status: ${response.status}`);
+        return AUTH_RESULTS.UNAVAILABLE;
+      }
+
+      if (!response.ok) {
+        return AUTH_RESULTS.INVALID;
+      }
+
+      const data = await response.json();
+      if (data && data.success !== false) {
+        StateManager.setAccessKey(key);
+        return AUTH_RESULTS.GRANTED;
+      }
+      return AUTH_RESULTS.INVALID;
+    } catch (error) {
+      // Network errors, CORS failures on a sleeping host, timeouts and half-sent bodies.
+      console.error('Error validating access key:', error);
+      return AUTH_RESULTS.UNAVAILABLE;
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  // Retries while the server is unavailable. onWaiting(secondsLeft) is called every second of the countdown.
+  // The key is taken out of the address bar before the first request.
+  static async authorize(onWaiting = () => {}) {
+    const key = this.getKey();
+    Utils.removeAccessKeyFromUrl();
+
+    let result = await this.validate(key);
+
+    while (result === AUTH_RESULTS.UNAVAILABLE) {
+      for (let secondsLeft = Math.ceil(CONFIG.SERVER_WARMUP_DELAY / 1000); secondsLeft > 0; secondsLeft--) {
+        onWaiting(secondsLeft);
+        await Utils.sleep(1000);
+      }
+      onWaiting(0);
+      result = await this.validate(key);
+    }
+
+    return result;
+  }
+
+  static logout() {
+    StateManager.clearAccessKey();
+    this.cached = null;
+  }
+}
@@ -1,32 +1,133 @@
 import EventEmitter from './eventEmitter.js';
 import { StateManager } from './stateManager.js';
-import { GAME_POINTS, STATS } from './constants.js';
+import { EndpointConfig } from './endpointConfig.js';
+import { BattleNormalizer, MERGE_POLICIES } from './battleNormalizer.js';
+import { ScoringEngine, DEFAULT_SCORING_PRESET } from './scoringEngine.js';
+import { SessionManager } from './sessionManager.js';
+import { ChallengeMode } from './challengeMode.js';
+import SyncBridge, { SYNC_MESSAGES } from './syncBridge.js';
+import StatsSync from './statsSync.js';
 import { Utils } from './utils.js';
 
 class BattleDataManager {
   constructor() {
-    this.initializeState();
+    this.BattleStats = {};
+    this.PlayersInfo = {};
+    this.ready = this.initializeState();
     this.filteredBattles = [];
+    this.scoringPreset = ScoringEngine.getActivePresetName();
+    this.scoring = ScoringEngine.fromPreset(this.scoringPreset);
+    this.originalScoring = ScoringEngine.fromPreset(DEFAULT_SCORING_PRESET);
+    this.challenge = ChallengeMode.getActive();
     this.eventsHistory = new EventEmitter();
+    this.syncBridge = new SyncBridge('history');
+    this.setupSyncBridge();
+    this.ready.then(() => this.initializeSocket());
+  }
+
+  initializeSocket() {
+    this.statsSync = new StatsSync({
+      getAccessKey: () => this.getAccessKey(),
+      getRevision: () => this.revision,
+      onSnapshot: (response) => this.applyServerSnapshot(response, response.revision),
+      onDelta: (response) => this.applyServerDelta(response)
+    });
+    this.statsSync.connect();
+  }
+
+  // The widget is the only writer of the shared saved state; this page keeps server updates in memory.
+  applyServerDelta(delta) {
+    const changed = BattleNormalizer.applyDelta(this, delta);
+    this.revision = delta.revision;
+
+    if (changed) {
+      this.emitStatsUpdated(BattleNormalizer.getDeltaChanges(this.BattleStats, delta));
+    }
+  }
+
+  applyServerSnapshot(data, revision) {
+    const oldBattleStats = JSON.parse(JSON.stringify(this.BattleStats));
+
+    const { BattleStats, PlayersInfo } = BattleNormalizer.mergeServerData(this, data, MERGE_POLICIES.REPLACE);
+    this.BattleStats = BattleStats;
+    this.PlayersInfo = PlayersInfo;
+    this.revision = typeof revision === 'number' ? revision : null;
+
+    const changes = BattleNormalizer.diffBattleStats(oldBattleStats, this.BattleStats);
+    if (Object.keys(changes.updated).length > 0 || changes.removed.length > 0) {
+      this.emitStatsUpdated(changes);
+    }
+  }
+
+  emitStatsUpdated(changes) {
+    this.eventsHistory.emit('statsUpdated', {
+      updated: Object.keys(changes.updated),
+      removed: changes.removed
+    });
   }
 
-  initializeState() {
-    const savedState = StateManager.loadState();
+  setupSyncBridge() {
+    this.syncBridge.on(SYNC_MESSAGES.BATTLES_UPDATED, ({ BattleStats = {}, PlayersInfo, removed = [] }) => {
+      if (PlayersInfo) {
+        this.PlayersInfo = PlayersInfo;
+      }
+
+      const nextBattleStats = { ...this.BattleStats, ...BattleStats };
+      removed.forEach(arenaId => {
+        delete nextBattleStats[arenaId];
+      });
+
+      const changes = BattleNormalizer.diffBattleStats(this.BattleStats, nextBattleStats);
+      this.BattleStats = nextBattleStats;
+
+      if (Object.keys(changes.updated).length > 0 || changes.removed.length > 0) {
+        this.emitStatsUpdated(changes);
+      }
+    });
+
+    this.syncBridge.on(SYNC_MESSAGES.BATTLES_REMOVED, ({ removed = [] }) => {
+      removed.forEach(arenaId => {
+        delete this.BattleStats[arenaId];
+      });
+
+      this.eventsHistory.emit('statsUpdated', { updated: [], removed });
+    });
+
+    this.syncBridge.on(SYNC_MESSAGES.HISTORY_CLEARED, () => {
+      this.BattleStats = {};
+      this.PlayersInfo = {};
+      this.revision = null;
+
+      this.eventsHistory.emit('historyCleared');
+    });
+
+    this.syncBridge.on(SYNC_MESSAGES.SESSION_STARTED, () => {
+      this.eventsHistory.emit('sessionsChanged');
+    });
+  }
+
+  async initializeState() {
+    const savedState = await StateManager.loadState();
     this.BattleStats = savedState?.BattleStats || {};
     this.PlayersInfo = savedState?.PlayersInfo || {};
+    this.curentArenaId = savedState?.curentArenaId || null;
+    this.revision = typeof savedState?.revision === 'number' ? savedState.revision : null;
   }
 
   saveState() {
-    StateManager.saveState({
+    return StateManager.saveState({
       BattleStats: this.BattleStats,
-      PlayersInfo: this.PlayersInfo
+      PlayersInfo: this.PlayersInfo,
+      curentArenaId: this.curentArenaId,
+      revision: this.revision
     });
   }
 
-  clearState() {
-    StateManager.clearState();
+  async clearState() {
+    await StateManager.clearState();
     this.BattleStats = {};
     this.PlayersInfo = {};
+    this.revision = null;
   }
 
 
@@ -44,13 +145,12 @@ class BattleDataManager {
   calculateBattleData(battle) {
     if (!battle) return { battlePoints: 0, battleDamage: 0, battleKills: 0 };
 
-    let battlePoints = battle.win === 1 ? GAME_POINTS.POINTS_PER_TEAM_WIN : 0;
+    const battlePoints = this.scoring.scoreBattle(battle).battlePoints;
     let battleDamage = 0;
     let battleKills = 0;
 
     if (battle.players) {
       Object.values(battle.players).forEach(player => {
-        battlePoints += player.points || 0;
         battleDamage += player.damage || 0;
         battleKills += player.kills || 0;
       });
@@ -67,7 +167,7 @@ class BattleDataManager {
     Object.values(this.BattleStats).forEach(battle => {
       const player = battle.players?.[playerId];
       if (player) {
-        playerPoints += player.points || 0;
+        playerPoints += this.scoring.scorePlayer(player);
         playerDamage += player.damage || 0;
         playerKills += player.kills || 0;
       }
@@ -85,13 +185,13 @@ class BattleDataManager {
 
     Object.values(this.BattleStats).forEach(battle => {
       if (battle.win === 1) {
-        teamPoints += GAME_POINTS.POINTS_PER_TEAM_WIN;
         wins++;
       }
 
+      teamPoints += this.scoring.scoreBattle(battle).battlePoints;
+
       if (battle.players) {
         Object.values(battle.players).forEach(player => {
-          teamPoints += player.points || 0;
           teamDamage += player.damage || 0;
           teamKills += player.kills || 0;
         });
@@ -101,23 +201,90 @@ class BattleDataManager {
     return { teamPoints, teamDamage, teamKills, wins, battles };
   }
 
+  // What-if view: only the in-memory ruleset changes, stored points stay untouched.
+  setScoringPreset(name) {
+    if (name === this.scoringPreset) return;
+
+    this.scoringPreset = name;
+    this.scoring = ScoringEngine.fromPreset(name);
+    this.eventsHistory.emit('scoringChanged', name);
+  }
+
+  // Points as they were baked into the battle when it was normalized.
+  calculateOriginalBattlePoints(battle) {
+    let battlePoints = this.originalScoring.getResultBonus(battle.win);
+
+    Object.values(battle.players || {}).forEach(player => {
+      battlePoints += player.points || 0;
+    });
+
+    return battlePoints;
+  }
+
+  calculateOriginalTeamPoints(battles = this.getBattlesArray()) {
+    return battles.reduce((total, battle) => total + this.calculateOriginalBattlePoints(battle), 0);
+  }
+
+  // Same evaluation as the widget: completed battles of the current session.
+  getChallengeCountedIds() {
+    if (!this.challenge) return new Set();
+
+    const sessions = SessionManager.getSessions();
+    const { id } = sessions[sessions.length - 1];
+
+    const completedBattles = this.getBattlesArray()
+      .filter(battle => battle.win !== -1 && SessionManager.isInSession(battle, id, sessions))
+      .map(battle => ({
+        id: battle.id,
+        startTime: SessionManager.toSeconds(battle.startTime || 0),
+        points: this.calculateBattleData(battle).battlePoints
+      }));
+
+    return new Set(this.challenge.evaluate(completedBattles).countedIds);
+  }
+
+  calculateSessionSummaries() {
+    const sessions = SessionManager.getSessions();
+    const summaries = new Map(sessions.map((session, index) => [session.id, {
+      id: session.id,
+      label: SessionManager.getSessionLabel(session, index),
+      battles: 0,
+      wins: 0,
+      points: 0,
+      damage: 0,
+      kills: 0
+    }]));
+
+    this.getBattlesArray().forEach(battle => {
+      const summary = summaries.get(SessionManager.getSessionId(battle, sessions));
+      const battleData = this.calculateBattleData(battle);
+
+      summary.battles++;
+      if (battle.win === 1) summary.wins++;
+      summary.points += battleData.battlePoints;
+      summary.damage += battleData.battleDamage;
+      summary.kills += battleData.battleKills;
+    });
+
+    return Array.from(summaries.values())
+      .filter(summary => summary.battles > 0)
+      .reverse();
+  }
+
   async loadFromServer() {
     try {
+      await this.ready;
+
       const accessKey = this.getAccessKey();
       if (!accessKey) {
         throw new Error('Access key not found');
       }
       
-      const apiUrl = `${atob(STATS.WEBSOCKET_URL)}/api/battle-stats/stats?limit=0`;
+      const apiUrl = EndpointConfig.getApiUrl('/stats?limit=0');
 
       const response = await fetch(apiUrl, {
         method: 'GET',
-        headers: {
-          'X-API-Key': accessKey,
-          'Content-Type': 'application/json',
-          'Accept': 'application/json',
-          'Origin': 'https://underpressureph7.github.io'
-        },
+        headers: EndpointConfig.getHeaders(accessKey),
         mode: 'cors',
         cache: 'no-cache'
       });
@@ -130,51 +297,11 @@ class BattleDataManager {
       const data = body.data || body;
 
       if (data) {
-        if (data.BattleStats) {
-          const normalized = {};
-          Object.entries(data.BattleStats).forEach(([arenaId, battleWrapper]) => {
-            const battle = (battleWrapper && typeof battleWrapper === 'object' && battleWrapper._id) 
-              ? battleWrapper._id 
-              : battleWrapper;
-            
-            const players = {};
-            const rawPlayers = battle?.players || {};
-            Object.entries(rawPlayers).forEach(([pid, playerWrapper]) => {
-              const p = (playerWrapper && typeof playerWrapper === 'object' && playerWrapper._id) 
-                ? playerWrapper._id 
-                : playerWrapper;
-              
-              const kills = typeof p.kills === 'number' ? p.kills : 0;
-              const damage = typeof p.damage === 'number' ? p.damage : 0;
-              const points = typeof p.points === 'number' ? p.points : (damage + kills * GAME_POINTS.POINTS_PER_FRAG);
-              players[pid] = {
-                name: p.name || this.PlayersInfo?.[pid] || 'Unknown Player',
-                damage,
-                kills,
-                points,
-                vehicle: p.vehicle || 'Unknown Vehicle'
-              };
-            });
-            normalized[arenaId] = {
-              startTime: battle.startTime || Date.now(),
-              duration: battle.duration ?? 0,
-              win: typeof battle.win === 'number' ? battle.win : -1,
-              mapName: battle.mapName || 'Unknown Map',
-              players
-            };
-          });
-          this.BattleStats = normalized;
-        }
-        if (data.PlayerInfo) {
-          const normalizedPlayerInfo = {};
-          Object.entries(data.PlayerInfo).forEach(([playerId, playerWrapper]) => {
-            if (typeof playerWrapper === 'object' && playerWrapper._id) {
-              normalizedPlayerInfo[playerId] = playerWrapper._id;
-            } else {
-              normalizedPlayerInfo[playerId] = playerWrapper;
-            }
-          });
-          this.PlayersInfo = normalizedPlayerInfo;
+        const { BattleStats, PlayersInfo } = BattleNormalizer.mergeServerData(this, data, MERGE_POLICIES.REPLACE);
+        this.BattleStats = BattleStats;
+        this.PlayersInfo = PlayersInfo;
+        if (typeof data.revision === 'number') {
+          this.revision = data.revision;
         }
       }
 
@@ -192,14 +319,11 @@ class BattleDataManager {
             throw new Error('Access key not found');
         }
 
-        const apiUrl = `${atob(STATS.WEBSOCKET_URL)}/api/battle-stats/clear`;
+        const apiUrl = EndpointConfig.getApiUrl('/clear');
 
         const response = await fetch(apiUrl, {
             method: 'DELETE',
-            headers: {
-                'X-API-Key': accessKey,
-                'Content-Type': 'application/json'
-            }
+            headers: EndpointConfig.getHeaders(accessKey)
         });
 
         if (!response.ok) {
@@ -207,6 +331,7 @@ class BattleDataManager {
         }
 
         await this.refreshLocalData();
+        this.syncBridge.publish(SYNC_MESSAGES.HISTORY_CLEARED);
         this.eventsHistory.emit('historyCleared');
     } catch (error) {
         console.error('Error clearing server data:', error);
@@ -221,14 +346,11 @@ class BattleDataManager {
             throw new Error('Access key not found');
         }
 
-        const apiUrl = `${atob(STATS.WEBSOCKET_URL)}/api/battle-stats/battle/${battleId}`;
+        const apiUrl = EndpointConfig.getApiUrl(`/battle/${battleId}`);
 
         const response = await fetch(apiUrl, {
             method: 'DELETE',
-            headers: {
-                'X-API-Key': accessKey,
-                'Content-Type': 'application/json'
-            }
+            headers: EndpointConfig.getHeaders(accessKey)
         });
 
         if (!response.ok) {
@@ -236,6 +358,7 @@ class BattleDataManager {
         }
 
         await this.refreshLocalData();
+        this.syncBridge.publish(SYNC_MESSAGES.BATTLES_REMOVED, { removed: [battleId] });
         this.eventsHistory.emit('battleDeleted', battleId);
         return true;
     } catch (error) {
@@ -281,6 +404,11 @@ class BattleDataManager {
     });
   }
 
+  filterBySession(battles, sessionId) {
+    const sessions = SessionManager.getSessions();
+    return battles.filter(battle => SessionManager.isInSession(battle, sessionId, sessions));
+  }
+
   filterByPlayer(battles, player) {
     return battles.filter(battle =>
       battle.players && Object.values(battle.players).some(p => 
@@ -297,7 +425,8 @@ class BattleDataManager {
       vehicle: this.filterByVehicle,
       result: this.filterByResult,
       date: this.filterByDate,
-      player: this.filterByPlayer
+      player: this.filterByPlayer,
+      session: this.filterBySession
     };
 
     Object.entries(filters).forEach(([key, value]) => {
@@ -333,7 +462,7 @@ class BattleDataManager {
         return false;
       }
 
-      // const apiUrl = `${atob(STATS.WEBSOCKET_URL)}/api/battle-stats/import`;
+      // const apiUrl = EndpointConfig.getApiUrl('/import');
       
       // const response = await fetch(apiUrl, {
       //   method: 'POST',
@@ -383,11 +512,11 @@ class BattleDataManager {
   }
 
   async refreshLocalData() {
-    this.clearState();
+    await this.clearState();
     await Utils.sleep(10);
     await this.loadFromServer();
     await Utils.sleep(10);
-    this.saveState();
+    await this.saveState();
   }
 
   validateBattleData(battleData) {
@@ -0,0 +1,255 @@
+import { ScoringEngine, DEFAULT_SCORING_PRESET } from './scoringEngine.js';
+import { SessionManager } from './sessionManager.js';
+
+// Every caller names its policy: the widget keeps what it tracked locally, the history page shows the server.
+export const MERGE_POLICIES = {
+  // Server payload wins, battles missing from it are dropped.
+  REPLACE: 'replace',
+  // Battles present on both sides keep the larger counters, local-only battles survive the merge.
+  KEEP_LOCAL: 'keep-local'
+};
+
+const BATTLE_FIELDS = ['startTime', 'duration', 'win', 'mapName'];
+const PLAYER_FIELDS = ['name', 'damage', 'kills', 'points', 'vehicle'];
+
+// Fills in points the server did not send, using the standard formula.
+const defaultScoring = ScoringEngine.fromPreset(DEFAULT_SCORING_PRESET);
+
+export class BattleNormalizer {
+  static unwrap(value) {
+    return (value && typeof value === 'object' && value._id) ? value._id : value;
+  }
+
+  static calculateDefaultPoints(damage, kills) {
+    return defaultScoring.scorePlayer({ damage, kills });
+  }
+
+  static normalizePlayerStats(rawPlayer) {
+    const p = this.unwrap(rawPlayer) || {};
+    const kills = typeof p.kills === 'number' ? p.kills : 0;
+    const damage = typeof p.damage === 'number' ? p.damage : 0;
+    const points = typeof p.points === 'number' ? p.points : this.calculateDefaultPoints(damage, kills);
+
+    return { name: p.name, damage, kills, points, vehicle: p.vehicle };
+  }
+
+  static normalizePlayer(rawPlayer, existingPlayer = null, knownName = null) {
+    const p = this.normalizePlayerStats(rawPlayer);
+
+    if (existingPlayer) {
+      return {
+        name: p.name || existingPlayer.name || knownName || 'Unknown Player',
+        damage: Math.max(p.damage, existingPlayer.damage || 0),
+        kills: Math.max(p.kills, existingPlayer.kills || 0),
+        points: Math.max(p.points, existingPlayer.points || 0),
+        vehicle: p.vehicle || existingPlayer.vehicle || 'Unknown Vehicle'
+      };
+    }
+
+    return {
+      name: p.name || knownName || 'Unknown Player',
+      damage: p.damage,
+      kills: p.kills,
+      points: p.points,
+      vehicle: p.vehicle || 'Unknown Vehicle'
+    };
+  }
+
+  static normalizeBattle(rawBattle, existingBattle = null, playersInfo = {}, sessions = SessionManager.getSessions()) {
+    const battle = this.unwrap(rawBattle) || {};
+
+    const players = {};
+    Object.entries(battle.players || {}).forEach(([pid, rawPlayer]) => {
+      players[pid] = this.normalizePlayer(rawPlayer, existingBattle?.players?.[pid] || null, playersInfo[pid]);
+    });
+
+    const serverWin = typeof battle.win === 'number' ? battle.win : -1;
+
+    if (!existingBattle) {
+      const created = {
+        startTime: battle.startTime || Date.now(),
+        duration: battle.duration ?? 0,
+        win: serverWin,
+        mapName: battle.mapName || 'Unknown Map',
+        players
+      };
+      created.sessionId = SessionManager.getSessionId(created, sessions);
+      return created;
+    }
+
+    const localWin = existingBattle.win ?? -1;
+    const mapName = (existingBattle.mapName && existingBattle.mapName !== 'Unknown Map')
+      ? existingBattle.mapName
+      : (battle.mapName || 'Unknown Map');
+
+    return {
+      startTime: battle.startTime || existingBattle.startTime || Date.now(),
+      duration: Math.max(existingBattle.duration ?? 0, battle.duration ?? 0),
+      win: serverWin !== -1 ? serverWin : localWin,
+      mapName,
+      players,
+      sessionId: existingBattle.sessionId || SessionManager.getSessionId(existingBattle, sessions)
+    };
+  }
+
+  static normalizePlayersInfo(rawPlayersInfo = {}) {
+    const normalized = {};
+    Object.entries(rawPlayersInfo).forEach(([playerId, playerInfo]) => {
+      normalized[playerId] = this.unwrap(playerInfo);
+    });
+    return normalized;
+  }
+
+  static mergeBattleStats(localStats, rawBattleStats, playersInfo, policy) {
+    const merged = {};
+    const mergeWithLocal = policy !== MERGE_POLICIES.REPLACE;
+    const sessions = SessionManager.getSessions();
+
+    Object.entries(rawBattleStats).forEach(([arenaId, rawBattle]) => {
+      const localBattle = localStats[arenaId] || null;
+      merged[arenaId] = this.normalizeBattle(rawBattle, mergeWithLocal ? localBattle : null, playersInfo, sessions);
+
+      // The session a battle was first seen in is local bookkeeping the server does not have.
+      if (localBattle?.sessionId) {
+        merged[arenaId].sessionId = localBattle.sessionId;
+      }
+    });
+
+    if (policy === MERGE_POLICIES.KEEP_LOCAL) {
+      Object.entries(localStats).forEach(([arenaId, localBattle]) => {
+        if (!merged[arenaId]) {
+          merged[arenaId] = localBattle;
+        }
+      });
+    }
+
+    return merged;
+  }
+
+  static mergeServerData(local, data, policy) {
+    const PlayersInfo = data.PlayerInfo
+      ? this.normalizePlayersInfo(data.PlayerInfo)
+      : (policy === MERGE_POLICIES.REPLACE ? {} : { ...(local.PlayersInfo || {}) });
+
+    const BattleStats = this.mergeBattleStats(local.BattleStats || {}, data.BattleStats || {}, PlayersInfo, policy);
+
+    return { BattleStats, PlayersInfo };
+  }
+
+  static diffBattleStats(oldStats = {}, newStats = {}) {
+    const updated = {};
+    const removed = [];
+
+    Object.entries(newStats).forEach(([arenaId, battle]) => {
+      if (JSON.stringify(oldStats[arenaId]) !== JSON.stringify(battle)) {
+        updated[arenaId] = battle;
+      }
+    });
+
+    Object.keys(oldStats).forEach(arenaId => {
+      if (!(arenaId in newStats)) {
+        removed.push(arenaId);
+      }
+    });
+
+    return { updated, removed };
+  }
+
+  static getDeltaChanges(battleStats, delta) {
+    const changes = { updated: {}, removed: [] };
+
+    Object.entries(delta.BattleStats || {}).forEach(([arenaId, patch]) => {
+      if (patch === null) {
+        changes.removed.push(arenaId);
+      } else if (battleStats[arenaId]) {
+        changes.updated[arenaId] = battleStats[arenaId];
+      }
+    });
+
+    return changes;
+  }
+
+  static applyDelta(state, delta) {
+    let changed = false;
+
+    Object.entries(delta.PlayerInfo || {}).forEach(([playerId, playerInfo]) => {
+      const name = this.unwrap(playerInfo);
+      if (name === null) {
+        if (playerId in state.PlayersInfo) {
+          delete state.PlayersInfo[playerId];
+          changed = true;
+        }
+      } else if (state.PlayersInfo[playerId] !== name) {
+        state.PlayersInfo[playerId] = name;
+        changed = true;
+      }
+    });
+
+    Object.entries(delta.BattleStats || {}).forEach(([arenaId, patch]) => {
+      if (patch === null) {
+        if (state.BattleStats[arenaId]) {
+          delete state.BattleStats[arenaId];
+          changed = true;
+        }
+        return;
+      }
+
+      const battlePatch = this.unwrap(patch);
+      if (!state.BattleStats[arenaId]) changed = true;
+      const battle = state.BattleStats[arenaId] || {
+        startTime: battlePatch.startTime || Date.now(),
+        duration: 0,
+        win: -1,
+        mapName: 'Unknown Map',
+        players: {}
+      };
+      if (!battle.sessionId) {
+        battle.sessionId = SessionManager.getSessionId(battle);
+      }
+
+      BATTLE_FIELDS.forEach(field => {
+        if (battlePatch[field] !== undefined && battle[field] !== battlePatch[field]) {
+          battle[field] = battlePatch[field];
+          changed = true;
+        }
+      });
+
+      Object.entries(battlePatch.players || {}).forEach(([pid, playerPatch]) => {
+        if (playerPatch === null) {
+          if (battle.players[pid]) {
+            delete battle.players[pid];
+            changed = true;
+          }
+          return;
+        }
+
+        const p = this.unwrap(playerPatch);
+        if (!battle.players[pid]) changed = true;
+        const player = battle.players[pid] || {
+          name: state.PlayersInfo?.[pid] || 'Unknown Player',
+          damage: 0,
+          kills: 0,
+          points: 0,
+          vehicle: 'Unknown Vehicle'
+        };
+
+        PLAYER_FIELDS.forEach(field => {
+          if (p[field] !== undefined && player[field] !== p[field]) {
+            player[field] = p[field];
+            changed = true;
+          }
+        });
+
+        if (p.points === undefined && (p.damage !== undefined || p.kills !== undefined)) {
+          player.points = this.calculateDefaultPoints(player.damage, player.kills);
+        }
+
+        battle.players[pid] = player;
+      });
+
+      state.BattleStats[arenaId] = battle;
+    });
+
+    return changed;
+  }
+}
@@ -1,13 +1,21 @@
 import BattleDataManager from './battleDataManager.js';
 import ChartManager from './chartManager.js';
+import { SCORING_PRESETS } from './scoringEngine.js';
+import { SessionManager } from './sessionManager.js';
+import { PlayerPreferences } from './playerPreferences.js';
+import { CACHE_KEYS } from './constants.js';
+import { DomUtils } from './domUtils.js';
+import { AuthService } from './authService.js';
 
 class BattleUIHandler {
-    constructor() {
-        this.dataManager = new BattleDataManager();
+    constructor(dataManager) {
+        this.dataManager = dataManager || new BattleDataManager();
         this.chartManager = new ChartManager(this.dataManager);
 
         this.worstBattleId = null;
         this.bestBattleId = null;
+        this.challengeCountedIds = new Set();
+        this.playersTableStale = false;
 
         this.itemsPerPage = 10;
         this.currentPage = 1;
@@ -28,9 +36,26 @@ class BattleUIHandler {
         this.setupTabSystem();
         this.initializeUI();
 
-        this.dataManager.eventsHistory.on('statsUpdated', () => {
-            this.updateStats();
+        this.dataManager.eventsHistory.on('statsUpdated', (changes) => {
+            this.handleLiveUpdate(changes);
+        });
+
+        this.dataManager.eventsHistory.on('sessionsChanged', () => {
+            this.setupFilters();
+            this.updateSessionSummaries();
+        });
+
+        this.dataManager.eventsHistory.on('scoringChanged', () => {
+            this.handleScoringChange();
+        });
+
+        this.dataManager.eventsHistory.on('historyCleared', () => {
             this.findBestAndWorstBattle();
+            this.updateBattleTable();
+            this.updateStats();
+            this.setupFilters();
+            this.updatePlayersTab();
+            this.updateVehiclesTab();
         });
         
         this.dataManager.eventsHistory.on('filtersApplied', (filteredBattles) => {
@@ -85,6 +110,58 @@ class BattleUIHandler {
         }
     }
 
+    handleLiveUpdate({ updated = [], removed = [] } = {}) {
+        try {
+            const filters = this.getActiveFilters();
+
+            if (Object.values(filters).some(Boolean)) {
+                this.dataManager.applyFilters(filters);
+            } else {
+                const previousBest = this.bestBattleId;
+                const previousWorst = this.worstBattleId;
+                const previousCounted = [...this.challengeCountedIds].join(',');
+                this.findBestAndWorstBattle();
+
+                const highlightsChanged = previousBest !== this.bestBattleId ||
+                    previousWorst !== this.worstBattleId ||
+                    previousCounted !== [...this.challengeCountedIds].join(',');
+                this.refreshBattleRows(updated, removed, highlightsChanged);
+            }
+
+            this.updateStats();
+            this.setupFilters();
+            this.updatePlayersTab();
+            this.updateVehiclesTab();
+        } catch (error) {
+            console.error('Error applying live update:', error);
+        }
+    }
+
+    refreshBattleRows(updatedIds, removedIds, forceFullUpdate = false) {
+        const tableBody = document.getElementById('battle-table-body');
+        if (!tableBody) return;
+
+        const findRow = (battleId) => tableBody.querySelector(`tr[data-battle-id="${CSS.escape(String(battleId))}"]`);
+        const canPatchRows = !forceFullUpdate &&
+            removedIds.length === 0 &&
+            updatedIds.every(battleId => findRow(battleId));
+
+        if (!canPatchRows) {
+            this.updateBattleTable();
+            return;
+        }
+
+        updatedIds.forEach(battleId => {
+            const battle = this.dataManager.BattleStats[battleId];
+            const newRow = battle ? this.createBattleRow({ id: battleId, ...battle }) : null;
+            if (newRow) {
+                findRow(battleId).replaceWith(newRow);
+            }
+        });
+
+        this.updateColumnVisibility();
+    }
+
     setupTabSystem() {
         const tabButtons = document.querySelectorAll('.tab-btn');
         const tabContents = document.querySelectorAll('.tab-content');
@@ -131,9 +208,28 @@ class BattleUIHandler {
 
         document.getElementById('export-data')?.addEventListener('click', () => this.exportData());
         document.getElementById('import-data')?.addEventListener('click', () => this.importData());
+        const playersTableBody = document.getElementById('players-table-body');
+        playersTableBody?.addEventListener('focusout', (e) => {
+            if (this.playersTableStale && !playersTableBody.contains(e.relatedTarget)) {
+                this.updatePlayersTable();
+            }
+        });
+        document.getElementById('logout-btn')?.addEventListener('click', () => {
+            AuthService.logout();
+            window.location.reload();
+        });
 
         document.getElementById('close-modal')?.addEventListener('click', () => this.closeModal());
 
+        this.setupScoringSelector();
+        this.setupPlayerSortSelector();
+
+        window.addEventListener('storage', (e) => {
+            if (e.key === CACHE_KEYS.PLAYER_PREFERENCES) {
+                this.handlePlayerPreferencesChange();
+            }
+        });
+
         window.addEventListener('click', (e) => {
             const modal = document.getElementById('battle-modal');
             if (e.target === modal) {
@@ -173,6 +269,66 @@ class BattleUIHandler {
         }
     }
 
+    setupScoringSelector() {
+        const select = document.getElementById('scoring-preset');
+        if (!select) return;
+
+        select.innerHTML = '';
+        Object.entries(SCORING_PRESETS).forEach(([name, preset]) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = preset.label;
+            select.appendChild(option);
+        });
+
+        select.value = this.dataManager.scoringPreset;
+        select.addEventListener('change', () => this.dataManager.setScoringPreset(select.value));
+    }
+
+    handleScoringChange() {
+        try {
+            this.refreshBattleTable();
+            this.updateStats();
+            this.updatePlayersTab();
+        } catch (error) {
+            console.error('Error applying scoring preset:', error);
+        }
+    }
+
+    refreshBattleTable() {
+        const filters = this.getActiveFilters();
+
+        if (Object.values(filters).some(Boolean)) {
+            this.dataManager.applyFilters(filters);
+        } else {
+            this.findBestAndWorstBattle();
+            this.updateBattleTable();
+        }
+    }
+
+    setupPlayerSortSelector() {
+        const select = document.getElementById('player-sort');
+        if (!select) return;
+
+        select.value = PlayerPreferences.load().sort;
+        select.addEventListener('change', () => {
+            PlayerPreferences.setSortMode(select.value);
+            this.handlePlayerPreferencesChange();
+        });
+    }
+
+    handlePlayerPreferencesChange() {
+        try {
+            const select = document.getElementById('player-sort');
+            if (select) select.value = PlayerPreferences.load().sort;
+
+            this.refreshBattleTable();
+            this.updatePlayersTab({ force: true });
+        } catch (error) {
+            console.error('Error applying player preferences:', error);
+        }
+    }
+
     updateColumnVisibility() {
         Object.entries(this.visibleColumns).forEach(([column, isVisible]) => {
             const columnElements = document.querySelectorAll(`.col-${column}`);
@@ -183,6 +339,8 @@ class BattleUIHandler {
     }
 
     findBestAndWorstBattle(battles = null) {
+        this.challengeCountedIds = this.dataManager.getChallengeCountedIds();
+
         const allBattles = battles || this.dataManager.getBattlesArray();
         
         if (!allBattles || allBattles.length === 0) {
@@ -253,6 +411,27 @@ class BattleUIHandler {
         this.populateFilter('map-filter', maps);
         this.populateFilter('vehicle-filter', vehicles);
         this.populateFilter('player-filter', players);
+        this.populateSessionFilter();
+    }
+
+    populateSessionFilter() {
+        const filter = document.getElementById('session-filter');
+        if (!filter) return;
+
+        const currentValue = filter.value;
+
+        while (filter.options.length > 1) {
+            filter.remove(1);
+        }
+
+        SessionManager.getSessions().forEach((session, index) => {
+            const option = document.createElement('option');
+            option.value = session.id;
+            option.textContent = SessionManager.getSessionLabel(session, index);
+            filter.appendChild(option);
+        });
+
+        if (currentValue) filter.value = currentValue;
     }
 
     populateFilter(filterId, values) {
@@ -275,14 +454,19 @@ class BattleUIHandler {
         if (currentValue) filter.value = currentValue;
     }
 
-    async applyFilters() {
-        const filters = {
+    getActiveFilters() {
+        return {
             map: document.getElementById('map-filter')?.value || '',
             vehicle: document.getElementById('vehicle-filter')?.value || '',
             result: document.getElementById('result-filter')?.value || '',
             date: document.getElementById('date-filter')?.value || '',
-            player: document.getElementById('player-filter')?.value || ''
+            player: document.getElementById('player-filter')?.value || '',
+            session: document.getElementById('session-filter')?.value || ''
         };
+    }
+
+    async applyFilters() {
+        const filters = this.getActiveFilters();
         
         const filteredBattles = await this.dataManager.applyFilters(filters);
 
@@ -291,7 +475,7 @@ class BattleUIHandler {
     }
 
     clearFilters() {
-        const filterIds = ['map-filter', 'vehicle-filter', 'result-filter', 'date-filter', 'player-filter'];
+        const filterIds = ['map-filter', 'vehicle-filter', 'result-filter', 'date-filter', 'player-filter', 'session-filter'];
         filterIds.forEach(id => {
             const element = document.getElementById(id);
             if (element) element.value = '';
@@ -392,6 +576,7 @@ class BattleUIHandler {
         if (!battle || !battle.id) return null;
         
         const row = document.createElement('tr');
+        row.dataset.battleId = battle.id;
 
         if (this.worstBattleId && battle.id === this.worstBattleId) {
             row.classList.add('worst-battle');
@@ -399,6 +584,10 @@ class BattleUIHandler {
             row.classList.add('best-battle');
         }
 
+        if (this.challengeCountedIds.has(battle.id)) {
+            row.classList.add('challenge-counted');
+        }
+
         const date = battle.startTime ? new Date(battle.startTime * 1000) : new Date();
 
         let resultText = 'В бою';
@@ -424,7 +613,7 @@ class BattleUIHandler {
             const battleData = this.dataManager.calculateBattleData(battle);
             const totalBattlePoints = battleData.battlePoints;
 
-            row.innerHTML = `
+            DomUtils.setHtml(row, DomUtils.html`
                 <td class="col-date">${date.toLocaleDateString()} ${date.toLocaleTimeString()}</td>
                 <td class="col-map">${battle.mapName || 'Невідома мапа'}</td>
                 <td class="col-result ${resultClass}">${resultText}</td>
@@ -442,7 +631,7 @@ class BattleUIHandler {
                         <i class="fas fa-trash"></i>
                     </button>
                 </td>
-            `;
+            `);
 
             row.querySelector('.view-battle')?.addEventListener('click', () => this.showBattleDetails(battle));
             row.querySelector('.delete-battle')?.addEventListener('click', () => this.deleteBattle(battle.id));
@@ -556,17 +745,18 @@ class BattleUIHandler {
         if (!tableBody || !battle || !battle.players) return;
         
         tableBody.innerHTML = '';
+        const preferences = PlayerPreferences.load();
         
         Object.entries(battle.players).forEach(([playerId, playerData]) => {
             const row = document.createElement('tr');
             
-            row.innerHTML = `
-                <td>${playerData.name || 'Невідомий гравець'}</td>
+            DomUtils.setHtml(row, DomUtils.html`
+                <td>${PlayerPreferences.getAlias(playerId, preferences) || playerData.name || 'Невідомий гравець'}</td>
                 <td>${playerData.vehicle || 'Невідомий танк'}</td>
                 <td class="damage">${playerData.damage?.toLocaleString() || 0}</td>
                 <td class="frags">${playerData.kills || 0}</td>
-                <td class="total-points">${playerData.points?.toLocaleString() || 0}</td>
-            `;
+                <td class="total-points">${this.dataManager.scoring.scorePlayer(playerData).toLocaleString()}</td>
+            `);
             
             tableBody.appendChild(row);
         });
@@ -593,10 +783,10 @@ class BattleUIHandler {
             
             metrics.forEach(metric => {
                 const li = document.createElement('li');
-                li.innerHTML = `
+                DomUtils.setHtml(li, DomUtils.html`
                     <span>${metric.name}</span>
                     <span class="${metric.class}">${metric.value}</span>
-                `;
+                `);
                 keyMetricsList.appendChild(li);
             });
             this.chartManager.updateBattleContributionChart(battle);
@@ -643,7 +833,9 @@ class BattleUIHandler {
                 'avg-damage': Math.round(stats.teamDamage / stats.battles || 0).toLocaleString(),
                 'total-frags': stats.teamKills,
                 'avg-frags': (stats.teamKills / stats.battles || 0).toFixed(1),
-                'total-points': stats.teamPoints.toLocaleString()
+                'total-points': stats.teamPoints.toLocaleString(),
+                'original-points': this.dataManager.calculateOriginalTeamPoints().toLocaleString(),
+                'scoring-preset-label': SCORING_PRESETS[this.dataManager.scoringPreset]?.label || ''
             };
 
             Object.entries(elements).forEach(([id, value]) => {
@@ -651,15 +843,42 @@ class BattleUIHandler {
                 if (element) element.textContent = value;
             });
 
+            this.updateSessionSummaries();
             this.chartManager.updatePerformanceCharts();
         } catch (error) {
             console.error('Error when updating statistics:Error when deleting a battle:', error);
         }
     }
 
-    updatePlayersTab() {
+    updateSessionSummaries() {
+        const tableBody = document.getElementById('session-table-body');
+        if (!tableBody) return;
+
+        tableBody.innerHTML = '';
+
+        this.dataManager.calculateSessionSummaries().forEach(summary => {
+            const row = document.createElement('tr');
+            const winRate = ((summary.wins / summary.battles) * 100 || 0).toFixed(1);
+            const avgDamage = Math.round(summary.damage / summary.battles || 0);
+
+            DomUtils.setHtml(row, DomUtils.html`
+                <td>${summary.label}</td>
+                <td>${summary.battles}</td>
+                <td class="wins">${summary.wins}</td>
+                <td>${winRate}%</td>
+                <td class="damage">${summary.damage.toLocaleString()}</td>
+                <td class="damage">${avgDamage.toLocaleString()}</td>
+                <td class="frags">${summary.kills}</td>
+                <td class="total-points">${summary.points.toLocaleString()}</td>
+            `);
+
+            tableBody.appendChild(row);
+        });
+    }
+
+    updatePlayersTab({ force = false } = {}) {
         try {
-            this.updatePlayersTable();
+            this.updatePlayersTable({ force });
 
             this.chartManager.updatePlayerCharts();
         } catch (error) {
@@ -667,58 +886,69 @@ class BattleUIHandler {
         }
     }
 
-    updatePlayersTable() {
+    updatePlayersTable({ force = false } = {}) {
         const tableBody = document.getElementById('players-table-body');
         if (!tableBody) return;
+
+        // Live updates would drop an alias the user is typing; the table catches up when focus leaves it.
+        if (!force && tableBody.contains(document.activeElement)) {
+            this.playersTableStale = true;
+            return;
+        }
+        this.playersTableStale = false;
         
         tableBody.innerHTML = '';
         
         const battles = this.dataManager.getBattlesArray();
         const playerStats = new Map();
+        const preferences = PlayerPreferences.load();
 
         battles.forEach(battle => {
             if (!battle.players) return;
             
-            Object.values(battle.players).forEach(player => {
+            Object.entries(battle.players).forEach(([playerId, player]) => {
                 if (!player.name) return;
                 
-                if (!playerStats.has(player.name)) {
-                    playerStats.set(player.name, {
+                if (!playerStats.has(playerId)) {
+                    playerStats.set(playerId, {
+                        name: player.name,
                         battles: 0,
                         wins: 0,
                         damage: 0,
                         kills: 0,
-                        points: 0
+                        points: 0,
+                        originalPoints: 0
                     });
                 }
                 
-                const stats = playerStats.get(player.name);
+                const stats = playerStats.get(playerId);
                 stats.battles++;
                 if (battle.win === 1) stats.wins++;
                 stats.damage += player.damage || 0;
                 stats.kills += player.kills || 0;
-                stats.points += player.points || 0;
+                stats.points += this.dataManager.scoring.scorePlayer(player);
+                stats.originalPoints += player.points || 0;
             });
         });
 
-        const sortedPlayers = Array.from(playerStats.entries())
-            .map(([playerName, stats]) => ({
-                name: playerName,
-                ...stats,
-                avgDamage: stats.damage / stats.battles || 0
-            }))
-            .sort((a, b) => b.avgDamage - a.avgDamage);
+        // Average damage is the order for players without a saved manual position.
+        const playerIds = Array.from(playerStats.keys())
+            .sort((a, b) => playerStats.get(b).damage / playerStats.get(b).battles - playerStats.get(a).damage / playerStats.get(a).battles);
+        const sortedIds = PlayerPreferences.arrange(playerIds, (playerId) => playerStats.get(playerId), { includeHidden: true }, preferences);
         
-        sortedPlayers.forEach((player, index) => {
+        sortedIds.forEach((playerId, index) => {
+            const player = playerStats.get(playerId);
             try {
                 const row = document.createElement('tr');
+                const isHidden = PlayerPreferences.isHidden(playerId, preferences);
                 const winRate = ((player.wins / player.battles) * 100 || 0).toFixed(1);
                 const avgDamage = Math.round(player.damage / player.battles || 0);
                 const avgKills = (player.kills / player.battles || 0).toFixed(1);
-                
-                row.innerHTML = `
+
+                row.classList.toggle('player-hidden', isHidden);
+                DomUtils.setHtml(row, DomUtils.html`
                     <td>${index + 1}</td>
-                    <td>${player.name}</td>
+                    <td>${PlayerPreferences.getAlias(playerId, preferences) || player.name}</td>
                     <td>${player.battles}</td>
                     <td class="wins">${player.wins}</td>
                     <td>${winRate}%</td>
@@ -726,7 +956,12 @@ class BattleUIHandler {
                     <td class="damage">${avgDamage.toLocaleString()}</td>
                     <td class="frags">${player.kills}</td>
                     <td class="frags">${avgKills}</td>
-                `;
+                    <td class="total-points">${player.originalPoints.toLocaleString()}</td>
+                    <td class="total-points">${player.points.toLocaleString()}</td>
+                    <td class="player-controls"></td>
+                `);
+
+                this.fillPlayerControls(row.querySelector('.player-controls'), playerId, player.name, isHidden, sortedIds);
                 
                 tableBody.appendChild(row);
             } catch (error) {
@@ -735,6 +970,49 @@ class BattleUIHandler {
         });
     }
 
+    fillPlayerControls(cell, playerId, playerName, isHidden, displayedIds) {
+        const aliasInput = document.createElement('input');
+        aliasInput.type = 'text';
+        aliasInput.className = 'player-alias-input';
+        aliasInput.placeholder = playerName;
+        aliasInput.value = PlayerPreferences.getAlias(playerId) || '';
+        aliasInput.addEventListener('change', () => {
+            PlayerPreferences.setAlias(playerId, aliasInput.value);
+            this.handlePlayerPreferencesChange();
+        });
+
+        const hideLabel = document.createElement('label');
+        hideLabel.className = 'player-hide-toggle';
+        hideLabel.title = 'Приховати гравця у віджеті та графіках';
+        const hideCheckbox = document.createElement('input');
+        hideCheckbox.type = 'checkbox';
+        hideCheckbox.checked = isHidden;
+        hideCheckbox.addEventListener('change', () => {
+            PlayerPreferences.setHidden(playerId, hideCheckbox.checked);
+            this.handlePlayerPreferencesChange();
+        });
+        hideLabel.append(hideCheckbox, ' Приховати');
+
+        const createMoveButton = (text, title, direction) => {
+            const button = document.createElement('button');
+            button.className = 'player-move-btn';
+            button.textContent = text;
+            button.title = title;
+            button.addEventListener('click', () => {
+                PlayerPreferences.move(displayedIds, playerId, direction);
+                this.handlePlayerPreferencesChange();
+            });
+            return button;
+        };
+
+        cell.append(
+            aliasInput,
+            hideLabel,
+            createMoveButton('↑', 'Вище', -1),
+            createMoveButton('↓', 'Нижче', 1)
+        );
+    }
+
     updateVehiclesTab() {
         try {
             this.updateVehiclesTable();
@@ -796,7 +1074,7 @@ class BattleUIHandler {
                 
                 const row = document.createElement('tr');
                 
-                row.innerHTML = `
+                DomUtils.setHtml(row, DomUtils.html`
                     <td>${index + 1}</td>
                     <td>${vehicle.vehicle}</td>
                     <td>${vehicle.battles}</td>
@@ -806,7 +1084,7 @@ class BattleUIHandler {
                     <td class="damage">${avgDamage.toLocaleString()}</td>
                     <td class="frags">${vehicle.kills}</td>
                     <td class="frags">${avgKills}</td>
-                `;
+                `);
                 
                 tableBody.appendChild(row);
             } catch (error) {
@@ -873,37 +1151,38 @@ class BattleUIHandler {
 
     getPlayerNames(battle) {
         if (!battle.players) return 'Невідомий гравець';
-        return Object.values(battle.players)
-            .map(p => p.name || 'Невідомий гравець')
-            .join('<br>');
+        const preferences = PlayerPreferences.load();
+        const names = Object.entries(battle.players)
+            .map(([playerId, p]) => PlayerPreferences.getAlias(playerId, preferences) || p.name || 'Невідомий гравець');
+        return DomUtils.join(names);
     }
 
     getDamage(battle) {
         if (!battle.players) return '0';
-        return Object.values(battle.players)
-            .map(p => (p.damage || 0).toLocaleString())
-            .join('<br>');
+        const damage = Object.values(battle.players)
+            .map(p => (p.damage || 0).toLocaleString());
+        return DomUtils.join(damage);
     }
 
     getKills(battle) {
         if (!battle.players) return '0';
-        return Object.values(battle.players)
-            .map(p => p.kills || 0)
-            .join('<br>');
+        const kills = Object.values(battle.players)
+            .map(p => p.kills || 0);
+        return DomUtils.join(kills);
     }
 
     getPoints(battle) {
         if (!battle.players) return '0';
-        return Object.values(battle.players)
-            .map(p => (p.points || 0).toLocaleString())
-            .join('<br>');
+        const points = Object.values(battle.players)
+            .map(p => this.dataManager.scoring.scorePlayer(p).toLocaleString());
+        return DomUtils.join(points);
     }
 
     getVehicles(battle) {
         if (!battle.players) return 'Невідомий танк';
-        return Object.values(battle.players)
-            .map(p => p.vehicle || 'Невідомий танк')
-            .join('<br>');
+        const vehicles = Object.values(battle.players)
+            .map(p => p.vehicle || 'Невідомий танк');
+        return DomUtils.join(vehicles);
     }
 
     formatDuration(seconds) {
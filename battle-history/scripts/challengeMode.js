@@ -0,0 +1,127 @@
+import { CACHE_KEYS } from './constants.js';
+import { Utils } from './utils.js';
+
+export const CHALLENGE_RULES = {
+  // Best N battles out of everything played.
+  BEST_OF_ALL: 'best',
+  // Best N battles out of the last M.
+  BEST_OF_LAST: 'bestOfLast',
+  // Every one of the last M battles counts.
+  LAST: 'last'
+};
+
+const RULE_VALUES = Object.values(CHALLENGE_RULES);
+
+export class ChallengeMode {
+  constructor({ rule = CHALLENGE_RULES.BEST_OF_ALL, bestCount = 5, windowSize = null } = {}) {
+    this.rule = rule;
+    this.bestCount = bestCount;
+    this.windowSize = windowSize;
+  }
+
+  static parseConfig(config) {
+    if (!config || !RULE_VALUES.includes(config.rule)) return null;
+
+    const bestCount = parseInt(config.bestCount, 10);
+    const windowSize = parseInt(config.windowSize, 10);
+    const usesBest = config.rule !== CHALLENGE_RULES.LAST;
+    const usesWindow = config.rule !== CHALLENGE_RULES.BEST_OF_ALL;
+
+    if (usesBest && !(bestCount > 0)) return null;
+    if (usesWindow && !(windowSize > 0)) return null;
+
+    return {
+      rule: config.rule,
+      bestCount: usesBest ? bestCount : null,
+      windowSize: usesWindow ? windowSize : null
+    };
+  }
+
+  // ?challenge=best&count=5, ?challenge=bestOfLast&count=5&window=10, ?challenge=last&window=10, ?challenge=off
+  static getConfig() {
+    const params = Utils.getQueryParams();
+    const urlRule = params.get('challenge');
+
+    if (urlRule === 'off') {
+      this.clearConfig();
+      return null;
+    }
+
+    if (urlRule) {
+      const config = this.parseConfig({
+        rule: urlRule,
+        bestCount: params.get('count'),
+        windowSize: params.get('window')
+      });
+      if (config) {
+        this.saveConfig(config);
+        return config;
+      }
+    }
+
+    try {
+      return this.parseConfig(JSON.parse(localStorage.getItem(CACHE_KEYS.CHALLENGE)));
+    } catch (error) {
+      console.error('Error reading challenge config:', error);
+      return null;
+    }
+  }
+
+  static saveConfig(config) {
+    localStorage.setItem(CACHE_KEYS.CHALLENGE, JSON.stringify(config));
+  }
+
+  static clearConfig() {
+    localStorage.removeItem(CACHE_KEYS.CHALLENGE);
+  }
+
+  static getActive() {
+    const config = this.getConfig();
+    return config ? new ChallengeMode(config) : null;
+  }
+
+  getWindow(battles, size) {
+    return size === null ? battles : battles.slice(Math.max(0, battles.length - size));
+  }
+
+  selectCounted(battles) {
+    if (this.rule === CHALLENGE_RULES.LAST) return battles;
+
+    return [...battles]
+      .sort((a, b) => b.points - a.points)
+      .slice(0, this.bestCount);
+  }
+
+  // battles: completed battles as { id, startTime, points }.
+  // threshold is the score the next battle has to exceed to raise the counted total.
+  evaluate(battles) {
+    const ordered = [...battles].sort((a, b) => (a.startTime || 0) - (b.startTime || 0));
+    const counted = this.selectCounted(this.getWindow(ordered, this.windowSize));
+
+    const rawTotal = ordered.reduce((total, battle) => total + battle.points, 0);
+    const countedTotal = counted.reduce((total, battle) => total + battle.points, 0);
+
+    // The next battle shifts the window by one, so only the last M-1 battles compete with it.
+    const remaining = this.windowSize === null ? ordered : this.getWindow(ordered, this.windowSize - 1);
+    let threshold = 0;
+
+    if (this.rule === CHALLENGE_RULES.LAST) {
+      if (ordered.length >= this.windowSize) {
+        threshold = ordered[ordered.length - this.windowSize].points;
+      }
+    } else {
+      const rivals = this.selectCounted(remaining);
+      if (rivals.length >= this.bestCount) {
+        threshold = rivals[rivals.length - 1].points;
+      }
+    }
+
+    return {
+      rule: this.rule,
+      countedIds: counted.map(battle => battle.id),
+      countedTotal,
+      rawTotal,
+      threshold
+    };
+  }
+}
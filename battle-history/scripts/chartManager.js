@@ -1,3 +1,5 @@
+import { PlayerPreferences } from './playerPreferences.js';
+
 class ChartManager {
     constructor(dataManager) {
         this.dataManager = dataManager;
@@ -324,15 +326,17 @@ class ChartManager {
         
         const battles = this.dataManager.getBattlesArray();
         const playerStats = {};
+        const preferences = PlayerPreferences.load();
 
         battles.forEach(battle => {
             if (!battle.players) return;
             
-            Object.values(battle.players).forEach(player => {
-                if (!player.name) return;
+            Object.entries(battle.players).forEach(([playerId, player]) => {
+                if (!player.name || PlayerPreferences.isHidden(playerId, preferences)) return;
                 
                 if (!playerStats[player.name]) {
                     playerStats[player.name] = {
+                        displayName: PlayerPreferences.getAlias(playerId, preferences) || player.name,
                         battles: 0,
                         damage: 0,
                         kills: 0
@@ -348,7 +352,7 @@ class ChartManager {
 
         const sortedPlayers = Object.entries(playerStats)
             .map(([name, stats]) => ({
-                name,
+                name: stats.displayName,
                 avgDamage: stats.damage / stats.battles || 0,
                 avgKills: stats.kills / stats.battles || 0
             }))
@@ -436,15 +440,17 @@ class ChartManager {
         
         const battles = this.dataManager.getBattlesArray();
         const playerStats = {};
+        const preferences = PlayerPreferences.load();
 
         battles.forEach(battle => {
             if (!battle.players) return;
             
-            Object.values(battle.players).forEach(player => {
-                if (!player.name) return;
+            Object.entries(battle.players).forEach(([playerId, player]) => {
+                if (!player.name || PlayerPreferences.isHidden(playerId, preferences)) return;
                 
                 if (!playerStats[player.name]) {
                     playerStats[player.name] = {
+                        displayName: PlayerPreferences.getAlias(playerId, preferences) || player.name,
                         battles: 0,
                         wins: 0
                     };
@@ -458,7 +464,7 @@ class ChartManager {
 
         const sortedPlayers = Object.entries(playerStats)
             .map(([name, stats]) => ({
-                name,
+                name: stats.displayName,
                 winRate: (stats.wins / stats.battles * 100) || 0,
                 battles: stats.battles
             }))
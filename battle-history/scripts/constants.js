@@ -12,7 +12,19 @@ export const STATS = {
     STATUS: "aHR0cHM6Ly9ub2RlLXdlYnNvY2tldC03NTg0NjhhNDlmZWUuaGVyb2t1YXBwLmNvbS9hcGkvc3RhdHVz",
     
     // https://node-websocket-758468a49fee.herokuapp.com
-    WEBSOCKET_URL: "aHR0cHM6Ly9ub2RlLXdlYnNvY2tldC03NTg0NjhhNDlmZWUuaGVyb2t1YXBwLmNvbQ=="
+    WEBSOCKET_URL: "aHR0cHM6Ly9ub2RlLXdlYnNvY2tldC03NTg0NjhhNDlmZWUuaGVyb2t1YXBwLmNvbQ==",
+
+    API_PATH: '/api/battle-stats',
+
+    ORIGIN: 'https://underpressureph7.github.io',
+
+    // Hosts a custom server URL may point to. Plain http is only accepted for local hosts.
+    ALLOWED_HOSTS: [
+        'node-websocket-758468a49fee.herokuapp.com',
+        'localhost',
+        '127.0.0.1'
+    ],
+    LOCAL_HOSTS: ['localhost', '127.0.0.1']
 };
 
 export const CONFIG = {
@@ -26,10 +38,36 @@ export const CONFIG = {
   UI_UPDATE_DELAY: 50,
   HANGAR_DELAY: 750,
   BATTLE_DELAY: 300,
-  SERVER_WARMUP_DELAY: 5000
+  SERVER_WARMUP_DELAY: 5000,
+  POLL_INTERVAL: 5000,
+  POLL_MAX_INTERVAL: 60000,
+  SOCKET_RETRY_INTERVAL: 15000,
+  SOCKET_RETRY_MAX_INTERVAL: 120000,
+  STALE_BATTLE_TIMEOUT: 1200000,
+  BATTLE_SUMMARY_DURATION: 8000,
+  RECENT_RESULTS_LIMIT: 10,
+  SPARKLINE_BATTLES: 20,
+  COUNT_UP_DURATION: 600,
+  GAIN_HIGHLIGHT_DURATION: 1500,
+  SESSION_CLOCK_SKEW: 60000
 };
 
+// Query options read by the widget and the history page. A bare segment with one of these names is never
+// an access key. tests/accessKey.test.js checks that every option read in the code is listed here.
+export const URL_OPTIONS = [
+  'key', 'server', 'columns', 'scoring', 'summaryDelay', 'hangarDelay', 'battleDelay', 'layout', 'theme',
+  'scale', 'opacity', 'goal', 'goalBattles', 'goalDeadline', 'challenge', 'count', 'window'
+];
+
 export const CACHE_KEYS = {
   GAME_STATE: 'gameState',
-  ACCESS_KEY: 'accessKey'
+  ACCESS_KEY: 'accessKey',
+  DATABASE: 'battleHistory',
+  SYNC_CHANNEL: 'battleStatsSync',
+  SCORING_PRESET: 'scoringPreset',
+  SESSIONS: 'battleSessions',
+  CHALLENGE: 'challengeConfig',
+  GOAL: 'goalConfig',
+  PLAYER_COLUMNS: 'playerColumns',
+  PLAYER_PREFERENCES: 'playerPreferences'
 };
\ No newline at end of file
@@ -0,0 +1,57 @@
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+// Markup produced by DomUtils.html. Only this type is inserted unescaped.
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+// Rendering helpers for anything that contains server data (player, vehicle and map names).
+// Use DomUtils.html`...` + DomUtils.setHtml for templates and DomUtils.create for single elements.
+export class DomUtils {
+  static escape(value) {
+    if (value === null || value === undefined) return '';
+    return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+  }
+
+  static toHtml(value) {
+    if (value instanceof SafeHtml) return value.value;
+    if (Array.isArray(value)) return value.map(item => DomUtils.toHtml(item)).join('');
+    return DomUtils.escape(value);
+  }
+
+  // Tagged template: every interpolated value is escaped unless it is already SafeHtml.
+  static html(strings, ...values) {
+    return new SafeHtml(strings.reduce((result, string, index) =>
+      result + string + (index < values.length ? DomUtils.toHtml(values[index]) : ''), ''));
+  }
+
+  static join(values, separator = DomUtils.html`<br>`) {
+    return new SafeHtml(values.map(value => DomUtils.toHtml(value)).join(DomUtils.toHtml(separator)));
+  }
+
+  static setHtml(element, content) {
+    if (!(content instanceof SafeHtml)) {
+      throw new TypeError('setHtml expects markup built with DomUtils.html');
+    }
+    element.innerHTML = content.value;
+  }
+
+  static create(tag, className = '', text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined && text !== null) element.textContent = String(text);
+    return element;
+  }
+}
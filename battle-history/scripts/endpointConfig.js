@@ -0,0 +1,60 @@
+import { STATS } from './constants.js';
+import { Utils } from './utils.js';
+
+export class EndpointConfig {
+  static getBaseUrl() {
+    if (!this.baseUrl) {
+      this.baseUrl = this.resolveBaseUrl();
+    }
+    return this.baseUrl;
+  }
+
+  static resolveBaseUrl() {
+    const defaultUrl = atob(STATS.WEBSOCKET_URL);
+    const configured = window.WIDGET_CONFIG?.server || Utils.getQueryParams().get('server');
+    if (!configured) return defaultUrl;
+
+    if (!this.isAllowedServer(configured)) {
+      console.error(`Server ${configured} is not in the allowed hosts list, using default server`);
+      return defaultUrl;
+    }
+
+    return configured.replace(/\/+$/, '');
+  }
+
+  static isAllowedServer(url) {
+    try {
+      const { protocol, hostname } = new URL(url);
+      if (!STATS.ALLOWED_HOSTS.includes(hostname)) return false;
+      if (protocol === 'https:') return true;
+      return protocol === 'http:' && STATS.LOCAL_HOSTS.includes(hostname);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  static isCustomServer() {
+    return this.getBaseUrl() !== atob(STATS.WEBSOCKET_URL);
+  }
+
+  static getApiUrl(path) {
+    return `${this.getBaseUrl()}${STATS.API_PATH}${path}`;
+  }
+
+  static getOrigin() {
+    return window.WIDGET_CONFIG?.origin || STATS.ORIGIN;
+  }
+
+  static getHeaders(accessKey) {
+    return {
+      'X-API-Key': accessKey,
+      'Content-Type': 'application/json',
+      'Accept': 'application/json',
+      'Origin': this.getOrigin()
+    };
+  }
+
+  static reset() {
+    this.baseUrl = null;
+  }
+}
@@ -0,0 +1,44 @@
+import { AuthService, AUTH_RESULTS } from './authService.js';
+import { DomUtils } from './domUtils.js';
+
+// Key entry shown on the access screen when the page was opened without a valid key.
+export class LoginForm {
+  static create(onGranted = () => window.location.reload()) {
+    const form = DomUtils.create('form', 'login-form');
+    form.style.cssText = 'display: flex; flex-wrap: wrap; justify-content: center; gap: 8px; margin-top: 1.5em;';
+
+    const input = DomUtils.create('input');
+    input.type = 'password';
+    input.placeholder = 'Ключ доступу';
+    input.autocomplete = 'off';
+    input.required = true;
+    input.style.cssText = 'padding: 8px 10px; border-radius: 4px; border: 1px solid #555; background: #1e1e1e; color: #fff;';
+
+    const button = DomUtils.create('button', '', 'Увійти');
+    button.type = 'submit';
+    button.style.cssText = 'padding: 8px 16px; border-radius: 4px; border: none; background: #4CAF50; color: #fff; cursor: pointer;';
+
+    const error = DomUtils.create('p', 'login-error');
+    error.style.cssText = 'width: 100%; margin: 0; font-size: 0.9em; color: #ff4444;';
+
+    form.append(input, button, error);
+    form.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      button.disabled = true;
+      error.textContent = '';
+
+      const result = await AuthService.validate(input.value.trim());
+      button.disabled = false;
+
+      if (result === AUTH_RESULTS.GRANTED) {
+        onGranted();
+        return;
+      }
+      error.textContent = result === AUTH_RESULTS.UNAVAILABLE
+        ? 'Сервер недоступний, спробуйте пізніше'
+        : 'Невірний ключ доступу';
+    });
+
+    return form;
+  }
+}
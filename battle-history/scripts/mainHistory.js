@@ -1,6 +1,8 @@
 import BattleDataManager from './battleDataManager.js';
 import BattleUIHandler from './battleUIHandler.js';
-import { STATS } from './constants.js';
+import { AuthService, AUTH_RESULTS } from './authService.js';
+import { DomUtils } from './domUtils.js';
+import { LoginForm } from './loginForm.js';
 
 class MainHistory {
     constructor() {
@@ -9,11 +11,12 @@ class MainHistory {
 
     async init() {
         try {
-            const hasAccess = await this.checkAccessKey();
-            if (!hasAccess) {
+            const result = await AuthService.authorize(secondsLeft => this.showServerUnavailable(secondsLeft));
+            if (result !== AUTH_RESULTS.GRANTED) {
                 this.showAccessDenied();
                 return;
             }
+            this.hideStatusMessage();
             this.initializeServices();
         } catch (error) {
             console.error('Error in init:', error);
@@ -46,115 +49,61 @@ class MainHistory {
         }
     }
 
-    async checkAccessKey() {
-        try {
-          localStorage.removeItem('accessKey');
-          const urlKey = window.location.search.substring(1);
-          const keyAPI = urlKey || localStorage.getItem('accessKey');
-          if (!keyAPI) return false;
-    
-          const baseUrl = atob(STATS.WEBSOCKET_URL)
-          const apiUrl = `${baseUrl}/api/battle-stats/stats`;
-          
-          const response = await fetch(apiUrl, {
-            method: 'GET',
-            headers: {
-              'X-API-Key': keyAPI,
-              'Content-Type': 'application/json',
-              'Accept': 'application/json',
-              'Origin': 'https://underpressureph7.github.io'
-            },
-            mode: 'cors',
-            cache: 'no-cache'
-          });
-        
-          if (response.status === 401) {
-            return false;
-          }
-      
-          if (!response.ok) {
-            console.error(`HTTP error! status: ${response.status}, statusText: ${response.statusText}`);
-            
-            if (response.status === 0 || response.status >= 500) {
-              console.error('Server or network error - treating as access denied');
-              return false;
-            }
-            
-            throw new Error(`HTTP error! status: ${response.status}`);
-          }
-      
-          let data;
-          try {
-            data = await response.json();
-          } catch (parseError) {
-            console.error('Error parsing JSON response:', parseError);
-            return false;
-          }
-      
-          if (data && data.success !== false) {
-            if (urlKey) {
-              localStorage.setItem('accessKey', urlKey);
-            }
-            return true;
-          }
-          
-          return false;
-      
-        } catch (error) {
-          console.error('Error in checkAccessKey:', error);
-          
-          if (error.name === 'TypeError' && error.message.includes('Failed to fetch')) {
-            console.error('Network error or CORS issue - check server configuration');
-          }
-          
-          if (error.name === 'AbortError') {
-            console.error('Request was aborted');
-          }
-          
-          console.error('Detailed error:', error);
-          return false;
-        }
-      }
-
     showAccessDenied() {
         try {
-            const container = document.createElement('div');
-            container.style.cssText = `
-                position: fixed;
-                top: 0;
-                left: 0;
-                width: 100%;
-                height: 100%;
-                display: flex;
-                justify-content: center;
-                align-items: center;
-                background-color: var(--wotstat-background,rgba(255, 255, 255, 0));
-                z-index: 9999;
-            `;
-
-            const message = document.createElement('div');
-            message.style.cssText = `
-                text-align: center;
-                padding: 2em;
-                border-radius: 1em;
-                background-color: rgba(0, 0, 0, 0.7);
-                color: var(--wotstat-primary, #ffffff);
-            `;
-
-            message.innerHTML = `
-                <h2>Доступ заборонено</h2>
-                <p>Невірний ключ доступу</p>
-            `;
-
-            container.appendChild(message);
-
             document.body.innerHTML = '';
-            document.body.appendChild(container);
+            this.showStatusMessage('Доступ заборонено', ['Невірний або відсутній ключ доступу'], LoginForm.create());
         } catch (error) {
             console.error('Error in showAccessDenied:', error);
         }
     }
 
+    showServerUnavailable(secondsLeft) {
+        this.showStatusMessage('Сервер недоступний', [
+            'Сервер запускається або тимчасово не відповідає',
+            secondsLeft > 0 ? `Повторна спроба через ${secondsLeft} с` : 'Підключення...'
+        ]);
+    }
+
+    showStatusMessage(title, lines, content = null) {
+        this.hideStatusMessage();
+
+        const container = document.createElement('div');
+        container.id = 'auth-status-container';
+        container.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            background-color: var(--wotstat-background,rgba(255, 255, 255, 0));
+            z-index: 9999;
+        `;
+
+        const message = document.createElement('div');
+        message.style.cssText = `
+            text-align: center;
+            padding: 2em;
+            border-radius: 1em;
+            background-color: rgba(0, 0, 0, 0.7);
+            color: var(--wotstat-primary, #ffffff);
+        `;
+
+        message.appendChild(DomUtils.create('h2', '', title));
+        lines.forEach(line => message.appendChild(DomUtils.create('p', '', line)));
+        if (content) message.appendChild(content);
+
+        container.appendChild(message);
+        document.body.appendChild(container);
+    }
+
+    hideStatusMessage() {
+        document.getElementById('auth-status-container')?.remove();
+    }
+
     showError(message) {
         try {
             const errorContainer = document.createElement('div');
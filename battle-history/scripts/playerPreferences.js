@@ -0,0 +1,109 @@
+import { CACHE_KEYS } from './constants.js';
+import { Utils } from './utils.js';
+
+export const PLAYER_SORT_MODES = {
+  MANUAL: 'manual',
+  POINTS: 'points',
+  DAMAGE: 'damage'
+};
+
+// Display preferences shared by the widget and the history page, keyed by player id:
+// { aliases: { id: alias }, hidden: [id], order: [id], sort: PLAYER_SORT_MODES.* }
+export class PlayerPreferences {
+  static load() {
+    let saved = null;
+    try {
+      saved = JSON.parse(localStorage.getItem(CACHE_KEYS.PLAYER_PREFERENCES));
+    } catch (error) {
+      console.error('Error reading player preferences:', error);
+    }
+
+    return {
+      aliases: saved?.aliases || {},
+      hidden: Array.isArray(saved?.hidden) ? saved.hidden : [],
+      order: Array.isArray(saved?.order) ? saved.order : [],
+      sort: Object.values(PLAYER_SORT_MODES).includes(saved?.sort) ? saved.sort : PLAYER_SORT_MODES.MANUAL
+    };
+  }
+
+  static update(mutator) {
+    const preferences = this.load();
+    mutator(preferences);
+    localStorage.setItem(CACHE_KEYS.PLAYER_PREFERENCES, JSON.stringify(preferences));
+    return preferences;
+  }
+
+  static getAlias(playerId, preferences = this.load()) {
+    return preferences.aliases[String(playerId)] || null;
+  }
+
+  static getDisplayName(playerId, rawName, preferences = this.load()) {
+    return this.getAlias(playerId, preferences) || Utils.formatPlayerName(rawName);
+  }
+
+  static setAlias(playerId, alias) {
+    return this.update(preferences => {
+      const trimmed = (alias || '').trim();
+      if (trimmed) {
+        preferences.aliases[String(playerId)] = trimmed;
+      } else {
+        delete preferences.aliases[String(playerId)];
+      }
+    });
+  }
+
+  static isHidden(playerId, preferences = this.load()) {
+    return preferences.hidden.includes(String(playerId));
+  }
+
+  static setHidden(playerId, hidden) {
+    return this.update(preferences => {
+      const id = String(playerId);
+      preferences.hidden = preferences.hidden.filter(hiddenId => hiddenId !== id);
+      if (hidden) preferences.hidden.push(id);
+    });
+  }
+
+  static setSortMode(sort) {
+    return this.update(preferences => {
+      preferences.sort = sort;
+    });
+  }
+
+  // Swaps a player with its neighbour in the list as it is currently displayed.
+  static move(displayedIds, playerId, direction) {
+    const ids = displayedIds.map(String);
+    const index = ids.indexOf(String(playerId));
+    const target = index + direction;
+    if (index === -1 || target < 0 || target >= ids.length) return this.load();
+
+    [ids[index], ids[target]] = [ids[target], ids[index]];
+
+    return this.update(preferences => {
+      preferences.order = [...ids, ...preferences.order.filter(id => !ids.includes(id))];
+      preferences.sort = PLAYER_SORT_MODES.MANUAL;
+    });
+  }
+
+  // Orders player ids for display. getMetrics(id) -> { points, damage } is only needed for metric sorting.
+  static arrange(playerIds, getMetrics = null, { includeHidden = false } = {}, preferences = this.load()) {
+    const visible = includeHidden
+      ? [...playerIds]
+      : playerIds.filter(id => !this.isHidden(id, preferences));
+
+    if (preferences.sort !== PLAYER_SORT_MODES.MANUAL && getMetrics) {
+      const metric = preferences.sort;
+      return visible.sort((a, b) => (getMetrics(b)[metric] || 0) - (getMetrics(a)[metric] || 0));
+    }
+
+    const position = (id) => {
+      const index = preferences.order.indexOf(String(id));
+      return index === -1 ? Infinity : index;
+    };
+    // Array.prototype.sort is stable, so players without a saved position keep their incoming order.
+    return visible.sort((a, b) => {
+      const difference = position(a) - position(b);
+      return Number.isNaN(difference) ? 0 : difference;
+    });
+  }
+}
@@ -0,0 +1,134 @@
+import { GAME_POINTS, CACHE_KEYS } from './constants.js';
+import { Utils } from './utils.js';
+
+// A ruleset describes how raw battle results turn into points:
+//   damageWeight     - points per point of damage
+//   fragPoints       - points per frag
+//   winBonus / drawBonus / lossBonus - team bonus added once per battle
+//   minDamage        - players below this damage get no damage points for the battle
+//   playerPointsCap  - upper limit of a player's points in one battle (null = no limit)
+//   battlePointsCap  - upper limit of the team's points in one battle (null = no limit)
+//   useStoredPoints  - use the player's points as sent by the server when present,
+//                      recomputing only when they are missing
+export const SCORING_PRESETS = {
+  standard: {
+    label: 'Стандартні правила',
+    damageWeight: GAME_POINTS.POINTS_PER_DAMAGE,
+    fragPoints: GAME_POINTS.POINTS_PER_FRAG,
+    winBonus: GAME_POINTS.POINTS_PER_TEAM_WIN,
+    drawBonus: 0,
+    lossBonus: 0,
+    minDamage: 0,
+    playerPointsCap: null,
+    battlePointsCap: null,
+    useStoredPoints: true
+  },
+  tournament: {
+    label: 'Турнір',
+    damageWeight: 1,
+    fragPoints: 300,
+    winBonus: 3000,
+    drawBonus: 1000,
+    lossBonus: 0,
+    minDamage: 500,
+    playerPointsCap: null,
+    battlePointsCap: null
+  },
+  damageOnly: {
+    label: 'Тільки шкода',
+    damageWeight: 1,
+    fragPoints: 0,
+    winBonus: 0,
+    drawBonus: 0,
+    lossBonus: 0,
+    minDamage: 0,
+    playerPointsCap: null,
+    battlePointsCap: null
+  },
+  fragHunt: {
+    label: 'Полювання на фраги',
+    damageWeight: 0.5,
+    fragPoints: 1000,
+    winBonus: 1000,
+    drawBonus: 500,
+    lossBonus: 0,
+    minDamage: 0,
+    playerPointsCap: 10000,
+    battlePointsCap: null
+  }
+};
+
+export const DEFAULT_SCORING_PRESET = 'standard';
+
+export class ScoringEngine {
+  constructor(ruleset = SCORING_PRESETS[DEFAULT_SCORING_PRESET]) {
+    this.ruleset = { ...SCORING_PRESETS[DEFAULT_SCORING_PRESET], useStoredPoints: false, ...ruleset };
+  }
+
+  static fromPreset(name) {
+    const preset = SCORING_PRESETS[name];
+    if (!preset) {
+      console.error(`Unknown scoring preset "${name}", using ${DEFAULT_SCORING_PRESET}`);
+      return new ScoringEngine(SCORING_PRESETS[DEFAULT_SCORING_PRESET]);
+    }
+    return new ScoringEngine(preset);
+  }
+
+  static getActivePresetName() {
+    const urlPreset = Utils.getQueryParams().get('scoring');
+    if (urlPreset && SCORING_PRESETS[urlPreset]) {
+      this.setActivePreset(urlPreset);
+      return urlPreset;
+    }
+
+    const savedPreset = localStorage.getItem(CACHE_KEYS.SCORING_PRESET);
+    return SCORING_PRESETS[savedPreset] ? savedPreset : DEFAULT_SCORING_PRESET;
+  }
+
+  static setActivePreset(name) {
+    if (!SCORING_PRESETS[name]) return;
+    localStorage.setItem(CACHE_KEYS.SCORING_PRESET, name);
+  }
+
+  static getActive() {
+    return this.fromPreset(this.getActivePresetName());
+  }
+
+  static applyCap(points, cap) {
+    return typeof cap === 'number' ? Math.min(points, cap) : points;
+  }
+
+  scorePlayer(player) {
+    if (!player) return 0;
+
+    if (this.ruleset.useStoredPoints && typeof player.points === 'number') {
+      return ScoringEngine.applyCap(player.points, this.ruleset.playerPointsCap);
+    }
+
+    const damage = player.damage || 0;
+    const kills = player.kills || 0;
+    const damagePoints = damage < this.ruleset.minDamage ? 0 : damage * this.ruleset.damageWeight;
+    const points = Math.round(damagePoints + kills * this.ruleset.fragPoints);
+
+    return ScoringEngine.applyCap(points, this.ruleset.playerPointsCap);
+  }
+
+  getResultBonus(win) {
+    if (win === 1) return this.ruleset.winBonus;
+    if (win === 2) return this.ruleset.drawBonus;
+    if (win === 0) return this.ruleset.lossBonus;
+    return 0;
+  }
+
+  scoreBattle(battle) {
+    let playerPoints = 0;
+    Object.values(battle?.players || {}).forEach(player => {
+      playerPoints += this.scorePlayer(player);
+    });
+
+    const resultBonus = this.getResultBonus(battle?.win);
+    const battlePoints = ScoringEngine.applyCap(playerPoints + resultBonus, this.ruleset.battlePointsCap);
+
+    return { battlePoints, playerPoints, resultBonus };
+  }
+}
@@ -0,0 +1,79 @@
+import { CACHE_KEYS, CONFIG } from './constants.js';
+
+// A session is just a start marker: every battle that started at or after a
+// session's startTime (and before the next one) belongs to it. Battles are never
+// moved or deleted, so history stays intact when a new session begins.
+//
+// The id is stored on a battle (battle.sessionId) the first time it is seen, so membership
+// does not shift when the server later corrects startTime. Session markers live only in this
+// browser's localStorage: another browser or the OBS profile has its own markers, and until a
+// session is started there every battle belongs to session-0. Markers use the client clock and
+// battle start times the server clock, so a battle that started up to SESSION_CLOCK_SKEW before
+// a marker is counted in the newer session.
+const INITIAL_SESSION = { id: 'session-0', startTime: 0 };
+
+export class SessionManager {
+  static toSeconds(timestamp) {
+    // Battle start times come from the server in seconds, local fallbacks use Date.now().
+    return timestamp > 1e12 ? Math.floor(timestamp / 1000) : timestamp;
+  }
+
+  static getSessions() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(CACHE_KEYS.SESSIONS));
+      if (Array.isArray(saved) && saved.length > 0) {
+        return saved;
+      }
+    } catch (error) {
+      console.error('Error reading sessions:', error);
+    }
+    return [INITIAL_SESSION];
+  }
+
+  static getCurrentSession() {
+    const sessions = this.getSessions();
+    return sessions[sessions.length - 1];
+  }
+
+  static startSession() {
+    const sessions = this.getSessions();
+    const startTime = Math.max(
+      Math.floor(Date.now() / 1000),
+      sessions[sessions.length - 1].startTime + 1
+    );
+    const session = { id: `session-${startTime}`, startTime };
+
+    sessions.push(session);
+    localStorage.setItem(CACHE_KEYS.SESSIONS, JSON.stringify(sessions));
+
+    return session;
+  }
+
+  static getSessionId(battle, sessions = this.getSessions()) {
+    // Ids from another browser or a removed session fall back to the start time.
+    if (battle?.sessionId && sessions.some(session => session.id === battle.sessionId)) {
+      return battle.sessionId;
+    }
+
+    const startTime = this.toSeconds(battle?.startTime || 0) + CONFIG.SESSION_CLOCK_SKEW / 1000;
+
+    for (let i = sessions.length - 1; i >= 0; i--) {
+      if (startTime >= sessions[i].startTime) {
+        return sessions[i].id;
+      }
+    }
+    return sessions[0].id;
+  }
+
+  static isInSession(battle, sessionId, sessions = this.getSessions()) {
+    return this.getSessionId(battle, sessions) === sessionId;
+  }
+
+  static getSessionLabel(session, index) {
+    if (!session.startTime) {
+      return `Сесія ${index + 1}`;
+    }
+    const date = new Date(session.startTime * 1000);
+    return `Сесія ${index + 1} (${date.toLocaleDateString()} ${date.toLocaleTimeString()})`;
+  }
+}
@@ -1,41 +1,113 @@
 import { CACHE_KEYS } from './constants.js';
+import { StateMigrator, STATE_SCHEMA_VERSION } from './stateMigrations.js';
+import { IndexedDBAdapter, LocalStorageAdapter } from './storageAdapters.js';
 
 export class StateManager {
-  static saveState(data) {
+  static getAdapter() {
+    if (!this.adapterPromise) {
+      this.adapterPromise = this.createDefaultAdapter();
+    }
+    return this.adapterPromise;
+  }
+
+  static setAdapter(adapter) {
+    this.adapterPromise = Promise.resolve(adapter);
+  }
+
+  static async createDefaultAdapter() {
+    if (!IndexedDBAdapter.isSupported()) {
+      return new LocalStorageAdapter();
+    }
+
+    const adapter = new IndexedDBAdapter();
+    try {
+      await adapter.open();
+      await this.migrateFromLocalStorage(adapter);
+      return adapter;
+    } catch (error) {
+      console.error('IndexedDB is unavailable, falling back to localStorage:', error);
+      return new LocalStorageAdapter();
+    }
+  }
+
+  static async migrateFromLocalStorage(adapter) {
+    const legacyState = localStorage.getItem(CACHE_KEYS.GAME_STATE);
+    if (!legacyState) return;
+
     try {
-      localStorage.setItem(CACHE_KEYS.GAME_STATE, JSON.stringify(data));
+      const existingState = await adapter.load();
+      if (!existingState) {
+        await adapter.save(StateMigrator.migrate(JSON.parse(legacyState)));
+      }
+    } catch (error) {
+      console.error('Failed to move saved state from localStorage to IndexedDB:', error);
+    }
+
+    localStorage.removeItem(CACHE_KEYS.GAME_STATE);
+  }
+
+  static async saveState(data) {
+    try {
+      const adapter = await this.getAdapter();
+      await adapter.save({
+        ...data,
+        schemaVersion: STATE_SCHEMA_VERSION
+      });
     } catch (error) {
       console.error('Failed to save state:', error);
     }
   }
 
-  static loadState() {
+  static async loadState() {
+    let savedState;
     try {
-      const savedState = localStorage.getItem(CACHE_KEYS.GAME_STATE);
-      return savedState ? JSON.parse(savedState) : null;
+      const adapter = await this.getAdapter();
+      savedState = await adapter.load();
     } catch (error) {
       console.error('Failed to load state:', error);
+      if (error instanceof SyntaxError) {
+        await this.clearState();
+      }
+      return null;
+    }
+
+    if (!savedState) return null;
+
+    try {
+      const state = StateMigrator.migrate(savedState);
+      if (state !== savedState) {
+        await this.saveState(state);
+      }
+      return state;
+    } catch (error) {
+      console.error('Saved state is corrupt or unsupported, resetting:', error);
+      await this.clearState();
       return null;
     }
   }
 
-  static clearState() {
+  static async clearState() {
     try {
-      localStorage.removeItem(CACHE_KEYS.GAME_STATE);
+      const adapter = await this.getAdapter();
+      await adapter.clear();
     } catch (error) {
       console.error('Failed to clear state:', error);
     }
   }
 
+  // The key lives in sessionStorage only, so it is gone when the tab is closed.
+  // localStorage is cleared as well to drop keys persisted by older versions.
   static getAccessKey() {
-    return localStorage.getItem(CACHE_KEYS.ACCESS_KEY);
+    return sessionStorage.getItem(CACHE_KEYS.ACCESS_KEY);
   }
 
   static setAccessKey(key) {
-    localStorage.setItem(CACHE_KEYS.ACCESS_KEY, key);
+    sessionStorage.setItem(CACHE_KEYS.ACCESS_KEY, key);
+    localStorage.removeItem(CACHE_KEYS.ACCESS_KEY);
   }
 
   static clearAccessKey() {
+    sessionStorage.removeItem(CACHE_KEYS.ACCESS_KEY);
     localStorage.removeItem(CACHE_KEYS.ACCESS_KEY);
   }
 }
\ No newline at end of file
@@ -0,0 +1,62 @@
+import { BattleNormalizer } from './battleNormalizer.js';
+
+export const STATE_SCHEMA_VERSION = 1;
+
+// Each migration upgrades a saved state from version N to N + 1.
+export const STATE_MIGRATIONS = {
+  0: (state) => {
+    const BattleStats = {};
+    Object.entries(state.BattleStats || {}).forEach(([arenaId, battle]) => {
+      const unwrapped = BattleNormalizer.unwrap(battle);
+      if (!unwrapped || typeof unwrapped !== 'object') return;
+
+      const players = {};
+      Object.entries(unwrapped.players || {}).forEach(([playerId, player]) => {
+        players[playerId] = BattleNormalizer.unwrap(player);
+      });
+
+      BattleStats[arenaId] = { ...unwrapped, players };
+    });
+
+    return {
+      BattleStats,
+      PlayersInfo: BattleNormalizer.normalizePlayersInfo(state.PlayersInfo || {}),
+      curentArenaId: state.curentArenaId ?? null,
+      revision: typeof state.revision === 'number' ? state.revision : null
+    };
+  }
+};
+
+export class StateMigrator {
+  static getVersion(state) {
+    return Number.isInteger(state.schemaVersion) ? state.schemaVersion : 0;
+  }
+
+  static migrate(state) {
+    if (!state || typeof state !== 'object' || Array.isArray(state)) {
+      throw new Error('Saved state is not an object');
+    }
+
+    let version = this.getVersion(state);
+    if (version > STATE_SCHEMA_VERSION) {
+      throw new Error(`Saved state version ${version} is newer than supported ${STATE_SCHEMA_VERSION}`);
+    }
+
+    let migrated = state;
+    while (version < STATE_SCHEMA_VERSION) {
+      const migration = STATE_MIGRATIONS[version];
+      if (!migration) {
+        throw new Error(`No migration registered for state version ${version}`);
+      }
+      migrated = { ...migration(migrated), schemaVersion: version + 1 };
+      version++;
+    }
+
+    if (!migrated.BattleStats || typeof migrated.BattleStats !== 'object' ||
+        !migrated.PlayersInfo || typeof migrated.PlayersInfo !== 'object') {
+      throw new Error('Saved state is missing BattleStats or PlayersInfo');
+    }
+
+    return migrated;
+  }
+}
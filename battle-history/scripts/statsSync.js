@@ -0,0 +1,139 @@
+import { CONFIG } from './constants.js';
+import { EndpointConfig } from './endpointConfig.js';
+
+// Socket.IO connection and revision-based stats sync shared by the widget and the history page.
+// The owner keeps the data and is reached only through hooks:
+//   getAccessKey(), getRevision()         - required
+//   onSnapshot(response), onDelta(response) - required, apply a getStats / getStatsDelta answer
+//   onSocketCreated(socket), onNotified(), onUnavailable(), onLatency(ms), onError(error) - optional
+class StatsSync {
+  constructor(hooks) {
+    this.hooks = hooks;
+    this.socket = null;
+    this.syncInFlight = false;
+    this.syncQueued = false;
+    this.deltaSupported = true;
+  }
+
+  connect() {
+    const accessKey = this.hooks.getAccessKey();
+    if (!accessKey) {
+      console.error('Access key not found, WebSocket not initialized.');
+      return null;
+    }
+
+    if (typeof io === 'undefined') {
+      console.error('Socket.IO library not found!');
+      this.hooks.onUnavailable?.();
+      return null;
+    }
+
+    try {
+      this.socket = io(EndpointConfig.getBaseUrl(), {
+        query: { key: accessKey },
+        transports: ['websocket', 'polling'],
+        reconnectionAttempts: 5,
+        reconnectionDelay: 1000,
+        timeout: 20000,
+      });
+
+      this.hooks.onSocketCreated?.(this.socket);
+
+      this.socket.on('connect', () => {
+        this.requestFullStats();
+      });
+
+      // Acknowledgements of requests sent before a disconnect never arrive.
+      this.socket.on('disconnect', () => {
+        this.syncInFlight = false;
+        this.syncQueued = false;
+      });
+
+      this.socket.on('statsUpdated', (data) => {
+        if (data && data.key === accessKey) {
+          this.hooks.onNotified?.();
+          if (typeof data.revision === 'number' && data.revision === this.hooks.getRevision()) {
+            return;
+          }
+          this.requestDelta();
+        }
+      });
+    } catch (error) {
+      console.error('WebSocket initialization error:', error);
+      this.socket = null;
+      this.hooks.onUnavailable?.();
+    }
+
+    return this.socket;
+  }
+
+  emitWithLatency(event, payload, callback) {
+    const startedAt = performance.now();
+    this.socket.emit(event, payload, (response) => {
+      this.hooks.onLatency?.(Math.round(performance.now() - startedAt));
+      callback(response);
+    });
+  }
+
+  requestFullStats(onDone = () => {}) {
+    const accessKey = this.hooks.getAccessKey();
+    if (!this.socket || !accessKey) {
+      onDone();
+      return;
+    }
+
+    this.emitWithLatency('getStats', { key: accessKey }, (response) => {
+      if (response && response.status === 200) {
+        this.hooks.onSnapshot(response);
+      } else {
+        console.error('Error getting stats:', response?.message || 'Unknown error');
+        this.hooks.onError?.(new Error(response?.message || 'getStats failed'));
+      }
+      onDone();
+    });
+  }
+
+  // One update request at a time: notifications that arrive meanwhile are folded into a single follow-up,
+  // so two quick notifications do not race each other into a full refetch.
+  requestDelta() {
+    const accessKey = this.hooks.getAccessKey();
+    if (!this.socket || !accessKey) return;
+
+    if (this.syncInFlight) {
+      this.syncQueued = true;
+      return;
+    }
+    this.syncInFlight = true;
+
+    const since = this.hooks.getRevision();
+    if (since === null || !this.deltaSupported) {
+      this.requestFullStats(() => this.finishSync());
+      return;
+    }
+
+    this.socket.timeout(CONFIG.SERVER_TIMEOUT).emit('getStatsDelta', { key: accessKey, since }, (error, response) => {
+      if (error) {
+        // Servers without getStatsDelta never acknowledge it: stop waiting for it on every update.
+        this.deltaSupported = false;
+      }
+
+      if (error || !response || response.status !== 200 || response.full || response.baseRevision !== this.hooks.getRevision()) {
+        this.requestFullStats(() => this.finishSync());
+        return;
+      }
+
+      this.hooks.onDelta(response);
+      this.finishSync();
+    });
+  }
+
+  finishSync() {
+    this.syncInFlight = false;
+    if (this.syncQueued) {
+      this.syncQueued = false;
+      this.requestDelta();
+    }
+  }
+}
+
+export default StatsSync;
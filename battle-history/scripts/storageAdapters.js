@@ -0,0 +1,155 @@
+import { CACHE_KEYS } from './constants.js';
+
+// Every adapter exposes the same async interface used by StateManager:
+// load() -> state object or null, save(state), clear().
+
+export class LocalStorageAdapter {
+  constructor(key = CACHE_KEYS.GAME_STATE) {
+    this.key = key;
+  }
+
+  async load() {
+    const savedState = localStorage.getItem(this.key);
+    return savedState ? JSON.parse(savedState) : null;
+  }
+
+  async save(state) {
+    localStorage.setItem(this.key, JSON.stringify(state));
+  }
+
+  async clear() {
+    localStorage.removeItem(this.key);
+  }
+}
+
+export class MemoryAdapter {
+  constructor(initialState = null) {
+    this.state = initialState ? JSON.stringify(initialState) : null;
+  }
+
+  async load() {
+    return this.state ? JSON.parse(this.state) : null;
+  }
+
+  async save(state) {
+    this.state = JSON.stringify(state);
+  }
+
+  async clear() {
+    this.state = null;
+  }
+}
+
+const BATTLES_STORE = 'battles';
+const META_STORE = 'meta';
+const META_KEY = 'state';
+
+export class IndexedDBAdapter {
+  constructor(dbName = CACHE_KEYS.DATABASE) {
+    this.dbName = dbName;
+    this.dbPromise = null;
+  }
+
+  static isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(BATTLES_STORE)) {
+            db.createObjectStore(BATTLES_STORE, { keyPath: 'arenaId' });
+          }
+          if (!db.objectStoreNames.contains(META_STORE)) {
+            db.createObjectStore(META_STORE, { keyPath: 'key' });
+          }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('IndexedDB open request is blocked'));
+      });
+    }
+    return this.dbPromise;
+  }
+
+  static requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  static transactionToPromise(transaction) {
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+    });
+  }
+
+  async load() {
+    const db = await this.open();
+    const transaction = db.transaction([BATTLES_STORE, META_STORE], 'readonly');
+
+    const [battles, meta] = await Promise.all([
+      IndexedDBAdapter.requestToPromise(transaction.objectStore(BATTLES_STORE).getAll()),
+      IndexedDBAdapter.requestToPromise(transaction.objectStore(META_STORE).get(META_KEY))
+    ]);
+
+    if (!meta && battles.length === 0) return null;
+
+    const BattleStats = {};
+    battles.forEach(({ arenaId, battle }) => {
+      BattleStats[arenaId] = battle;
+    });
+
+    return { ...(meta?.value || {}), BattleStats };
+  }
+
+  async save(state) {
+    const { BattleStats = {}, ...meta } = state;
+    const db = await this.open();
+    const transaction = db.transaction([BATTLES_STORE, META_STORE], 'readwrite');
+    const battlesStore = transaction.objectStore(BATTLES_STORE);
+    const done = IndexedDBAdapter.transactionToPromise(transaction);
+
+    // Unchanged battles are skipped by comparing with the store inside this transaction, not with a
+    // per-tab cache: the widget and history tabs write to the same database.
+    const storedRequest = battlesStore.getAll();
+    storedRequest.onsuccess = () => {
+      const stored = new Map(storedRequest.result.map(({ arenaId, battle }) => [arenaId, JSON.stringify(battle)]));
+
+      Object.entries(BattleStats).forEach(([arenaId, battle]) => {
+        if (stored.get(arenaId) !== JSON.stringify(battle)) {
+          battlesStore.put({ arenaId, battle });
+        }
+      });
+
+      stored.forEach((serialized, arenaId) => {
+        if (!(arenaId in BattleStats)) {
+          battlesStore.delete(arenaId);
+        }
+      });
+    };
+
+    transaction.objectStore(META_STORE).put({ key: META_KEY, value: meta });
+
+    await done;
+  }
+
+  async clear() {
+    const db = await this.open();
+    const transaction = db.transaction([BATTLES_STORE, META_STORE], 'readwrite');
+    const done = IndexedDBAdapter.transactionToPromise(transaction);
+
+    transaction.objectStore(BATTLES_STORE).clear();
+    transaction.objectStore(META_STORE).clear();
+
+    await done;
+  }
+}
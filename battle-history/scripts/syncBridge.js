@@ -0,0 +1,77 @@
+import EventEmitter from './eventEmitter.js';
+import { CACHE_KEYS } from './constants.js';
+
+export const SYNC_MESSAGES = {
+  BATTLES_UPDATED: 'battlesUpdated',
+  BATTLES_REMOVED: 'battlesRemoved',
+  HISTORY_CLEARED: 'historyCleared',
+  SESSION_STARTED: 'sessionStarted'
+};
+
+// Relays state changes between the widget and history tabs of the same origin.
+// Uses BroadcastChannel where available and falls back to localStorage 'storage' events.
+class SyncBridge {
+  constructor(source) {
+    this.source = source;
+    this.senderId = `${source}_${Date.now()}_${Math.random().toString(36).slice(2)}`;
+    this.events = new EventEmitter();
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(CACHE_KEYS.SYNC_CHANNEL);
+      this.channel.onmessage = (event) => this.handleMessage(event.data);
+    } else {
+      this.storageHandler = (event) => {
+        if (event.key !== CACHE_KEYS.SYNC_CHANNEL || !event.newValue) return;
+        try {
+          this.handleMessage(JSON.parse(event.newValue));
+        } catch (error) {
+          console.error('Error parsing sync message:', error);
+        }
+      };
+      window.addEventListener('storage', this.storageHandler);
+    }
+  }
+
+  on(type, callback) {
+    this.events.on(type, callback);
+  }
+
+  publish(type, payload = {}) {
+    const message = {
+      type,
+      payload,
+      source: this.source,
+      senderId: this.senderId,
+      sentAt: Date.now()
+    };
+
+    try {
+      if (this.channel) {
+        this.channel.postMessage(message);
+      } else {
+        localStorage.setItem(CACHE_KEYS.SYNC_CHANNEL, JSON.stringify(message));
+        localStorage.removeItem(CACHE_KEYS.SYNC_CHANNEL);
+      }
+    } catch (error) {
+      console.error('Error publishing sync message:', error);
+    }
+  }
+
+  handleMessage(message) {
+    if (!message || message.senderId === this.senderId) return;
+    this.events.emit(message.type, message.payload);
+  }
+
+  close() {
+    if (this.channel) {
+      this.channel.close();
+      this.channel = null;
+    }
+    if (this.storageHandler) {
+      window.removeEventListener('storage', this.storageHandler);
+      this.storageHandler = null;
+    }
+  }
+}
+
+export default SyncBridge;
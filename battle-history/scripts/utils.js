@@ -1,4 +1,4 @@
-import { CONFIG } from './constants.js';
+import { CONFIG, URL_OPTIONS } from './constants.js';
 
 export class Utils {
   static sleep(ms) {
@@ -6,8 +6,15 @@ export class Utils {
   }
 
   static getRandomDelay() {
-    const delay = Math.floor(Math.random() * (CONFIG.MAX_RANDOM_DELAY - CONFIG.MIN_RANDOM_DELAY + 5)) + CONFIG.MIN_RANDOM_DELAY;
-    return this.sleep(delay);
+    return this.sleep(this.getJitter());
+  }
+
+  static getJitter() {
+    return Math.floor(Math.random() * (CONFIG.MAX_RANDOM_DELAY - CONFIG.MIN_RANDOM_DELAY + 5)) + CONFIG.MIN_RANDOM_DELAY;
+  }
+
+  static getBackoffDelay(attempt, baseDelay, maxDelay) {
+    return Math.min(baseDelay * 2 ** attempt, maxDelay) + this.getJitter();
   }
 
   static debounce(func, wait) {
@@ -33,6 +40,78 @@ export class Utils {
     };
   }
 
+  static getQueryParams() {
+    return new URLSearchParams(window.location.search);
+  }
+
+  // Works on the raw "a=1&b" string rather than URLSearchParams: a legacy key may contain '=' or '+',
+  // and the other segments must survive the scrub byte for byte.
+  // Returns { key, index } of the segment holding the key, or null.
+  static findAccessKey(raw) {
+    const segments = raw.split('&');
+
+    const index = segments.findIndex(segment => segment.startsWith('key='));
+    if (index !== -1) {
+      const value = segments[index].slice('key='.length);
+      try {
+        return value ? { key: decodeURIComponent(value), index } : null;
+      } catch {
+        return { key: value, index };
+      }
+    }
+
+    // A bare key without a name (#KEY or the legacy ?KEY&server=...) is only accepted as the first segment.
+    // One containing '=' looks like an option, so it is only taken when it is the whole string (the legacy ?AB=C+D).
+    const [first] = segments;
+    const name = first.split('=')[0];
+    if (!first || URL_OPTIONS.includes(name)) return null;
+    if (first.includes('=') && segments.length > 1) return null;
+    return { key: first, index: 0 };
+  }
+
+  // The fragment is preferred: it never reaches the server, logs or Referer headers.
+  // When it holds a key, the query string is not looked at.
+  // Returns { key, index, part } where part is 'hash' or 'search', or null.
+  static locateAccessKey() {
+    for (const part of ['hash', 'search']) {
+      const found = this.findAccessKey(window.location[part].slice(1));
+      if (found) return { ...found, part };
+    }
+    return null;
+  }
+
+  static getAccessKeyFromUrl() {
+    const found = this.locateAccessKey();
+    return found ? found.key : '';
+  }
+
+  // Only the segment the key was read from is removed.
+  static removeAccessKeyFromUrl() {
+    const found = this.locateAccessKey();
+    if (!found) return;
+
+    const url = new URL(window.location.href);
+    url[found.part] = url[found.part].slice(1).split('&')
+      .filter((segment, index) => index !== found.index)
+      .join('&');
+
+    window.history.replaceState(window.history.state, '', url.toString());
+  }
+
+  // Non-reversible 53-bit string hash (cyrb53), for storage keys that must not contain secrets.
+  static hashString(value) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < value.length; i++) {
+      const char = value.charCodeAt(i);
+      h1 = Math.imul(h1 ^ char, 2654435761);
+      h2 = Math.imul(h2 ^ char, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+  }
+
   static formatPlayerName(name) {
     if (!name) return 'Невідомий гравець';
     return String(name).replace(/\s*\[.*?\]/, '');
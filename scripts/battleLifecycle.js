@@ -0,0 +1,153 @@
+import { CONFIG } from '../battle-history/scripts/constants.js';
+import { SessionManager } from '../battle-history/scripts/sessionManager.js';
+
+export const BATTLE_STATES = {
+  PENDING: 'pending',
+  IN_BATTLE: 'inBattle',
+  FINISHED: 'finished',
+  ABANDONED: 'abandoned'
+};
+
+const OPEN_STATES = [BATTLE_STATES.PENDING, BATTLE_STATES.IN_BATTLE];
+
+// Allowed transitions. A finished battle never reopens; an abandoned one can
+// still be finalized if the server eventually reports the result.
+const TRANSITIONS = {
+  [BATTLE_STATES.PENDING]: [BATTLE_STATES.IN_BATTLE, BATTLE_STATES.FINISHED, BATTLE_STATES.ABANDONED],
+  [BATTLE_STATES.IN_BATTLE]: [BATTLE_STATES.FINISHED, BATTLE_STATES.ABANDONED],
+  [BATTLE_STATES.ABANDONED]: [BATTLE_STATES.FINISHED],
+  [BATTLE_STATES.FINISHED]: []
+};
+
+class BattleLifecycle {
+  constructor(coreService) {
+    this.core = coreService;
+    this.battles = new Map();
+    this.staleTimer = null;
+  }
+
+  static hasActivity(battle) {
+    return Object.values(battle.players || {}).some(player => player.damage > 0 || player.kills > 0);
+  }
+
+  static resolveState(battle) {
+    if (battle.win !== -1 || battle.duration > 0) return BATTLE_STATES.FINISHED;
+    return this.hasActivity(battle) ? BATTLE_STATES.IN_BATTLE : BATTLE_STATES.PENDING;
+  }
+
+  getState(arenaId) {
+    return this.battles.get(arenaId)?.state || null;
+  }
+
+  isOpen(arenaId) {
+    return OPEN_STATES.includes(this.getState(arenaId));
+  }
+
+  sync(battleStats = this.core.BattleStats, now = Date.now()) {
+    this.battles.forEach((entry, arenaId) => {
+      if (!battleStats[arenaId]) {
+        this.battles.delete(arenaId);
+      }
+    });
+
+    Object.entries(battleStats).forEach(([arenaId, battle]) => {
+      const fingerprint = JSON.stringify(battle);
+      const entry = this.battles.get(arenaId);
+      const nextState = BattleLifecycle.resolveState(battle);
+
+      if (!entry) {
+        // Battles restored from storage have no activity history, so their start time stands in for it.
+        const startedAt = SessionManager.toSeconds(battle.startTime || 0) * 1000;
+        this.battles.set(arenaId, {
+          state: nextState,
+          fingerprint,
+          lastActivity: startedAt > 0 ? Math.min(startedAt, now) : now
+        });
+        if (OPEN_STATES.includes(nextState)) {
+          this.emitTransition(arenaId, nextState, null);
+        }
+        return;
+      }
+
+      if (entry.fingerprint === fingerprint) return;
+
+      entry.fingerprint = fingerprint;
+      entry.lastActivity = now;
+      this.transition(arenaId, nextState);
+    });
+
+    this.expireStale(now);
+  }
+
+  transition(arenaId, nextState) {
+    const entry = this.battles.get(arenaId);
+    if (!entry || entry.state === nextState) return false;
+    if (!TRANSITIONS[entry.state].includes(nextState)) return false;
+
+    const previousState = entry.state;
+    entry.state = nextState;
+    this.emitTransition(arenaId, nextState, previousState);
+    return true;
+  }
+
+  emitTransition(arenaId, state, previousState) {
+    this.core.eventsCore.emit('battleStateChanged', { arenaId, state, previousState });
+  }
+
+  expireStale(now = Date.now()) {
+    clearTimeout(this.staleTimer);
+    this.staleTimer = null;
+
+    let nextExpiry = null;
+    this.battles.forEach((entry, arenaId) => {
+      if (!OPEN_STATES.includes(entry.state)) return;
+
+      const expiresAt = entry.lastActivity + CONFIG.STALE_BATTLE_TIMEOUT;
+      if (expiresAt <= now) {
+        this.transition(arenaId, BATTLE_STATES.ABANDONED);
+      } else if (nextExpiry === null || expiresAt < nextExpiry) {
+        nextExpiry = expiresAt;
+      }
+    });
+
+    if (nextExpiry !== null) {
+      this.staleTimer = setTimeout(() => this.handleStaleTimeout(), nextExpiry - now);
+    }
+  }
+
+  handleStaleTimeout() {
+    const currentBattleId = this.getCurrentBattleId();
+    this.expireStale();
+
+    if (this.getCurrentBattleId() !== currentBattleId) {
+      this.core.clearCalculationCache();
+      this.core.eventsCore.emit('statsUpdated');
+    }
+  }
+
+  // The most recently started open battle wins; arena ids break ties so the choice is stable.
+  getCurrentBattleId() {
+    let currentId = null;
+    let currentStart = -Infinity;
+
+    this.battles.forEach((entry, arenaId) => {
+      if (!OPEN_STATES.includes(entry.state)) return;
+
+      const startTime = SessionManager.toSeconds(this.core.BattleStats[arenaId]?.startTime || 0);
+      if (startTime > currentStart || (startTime === currentStart && arenaId > currentId)) {
+        currentId = arenaId;
+        currentStart = startTime;
+      }
+    });
+
+    return currentId;
+  }
+
+  reset() {
+    clearTimeout(this.staleTimer);
+    this.staleTimer = null;
+    this.battles.clear();
+  }
+}
+
+export default BattleLifecycle;
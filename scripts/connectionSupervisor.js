@@ -0,0 +1,129 @@
+import { CONFIG } from '../battle-history/scripts/constants.js';
+import { Utils } from '../battle-history/scripts/utils.js';
+
+export const CONNECTION_STATES = {
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  RECONNECTING: 'reconnecting',
+  POLLING: 'polling',
+  OFFLINE: 'offline'
+};
+
+class ConnectionSupervisor {
+  constructor(coreService) {
+    this.core = coreService;
+    this.state = CONNECTION_STATES.CONNECTING;
+    this.pollFailures = 0;
+    this.socketRetries = 0;
+    this.pollTimer = null;
+    this.socketRetryTimer = null;
+  }
+
+  attach(socket) {
+    this.socket = socket;
+
+    socket.on('connect', () => this.handleSocketConnected());
+
+    socket.on('disconnect', (reason) => {
+      if (this.isPolling()) return;
+      this.setState(CONNECTION_STATES.RECONNECTING, { reason });
+    });
+
+    socket.on('connect_error', (error) => {
+      this.core.eventsCore.emit('connectionError', error);
+    });
+
+    socket.io.on('reconnect_attempt', (attempt) => {
+      if (this.isPolling()) return;
+      this.setState(CONNECTION_STATES.RECONNECTING, { attempt });
+    });
+
+    socket.io.on('reconnect_failed', () => {
+      this.startPolling();
+    });
+  }
+
+  isPolling() {
+    return this.state === CONNECTION_STATES.POLLING || this.state === CONNECTION_STATES.OFFLINE;
+  }
+
+  handleSocketConnected() {
+    this.stopPolling();
+    this.socketRetries = 0;
+    this.setState(CONNECTION_STATES.CONNECTED);
+  }
+
+  startPolling() {
+    if (this.isPolling()) return;
+
+    this.pollFailures = 0;
+    this.socketRetries = 0;
+    this.setState(CONNECTION_STATES.POLLING);
+    this.schedulePoll(CONFIG.RETRY_DELAY);
+    this.scheduleSocketRetry();
+  }
+
+  stopPolling() {
+    clearTimeout(this.pollTimer);
+    clearTimeout(this.socketRetryTimer);
+    this.pollTimer = null;
+    this.socketRetryTimer = null;
+  }
+
+  schedulePoll(delay) {
+    clearTimeout(this.pollTimer);
+    this.pollTimer = setTimeout(() => this.poll(), delay);
+  }
+
+  async poll() {
+    if (!this.isPolling()) return;
+
+    const success = await this.core.loadViaREST(this.core.getAccessKey());
+    if (!this.isPolling()) return;
+
+    if (success) {
+      this.pollFailures = 0;
+      this.setState(CONNECTION_STATES.POLLING);
+      this.schedulePoll(CONFIG.POLL_INTERVAL + Utils.getJitter());
+      return;
+    }
+
+    this.pollFailures++;
+    if (this.pollFailures >= CONFIG.RETRY_ATTEMPTS) {
+      this.setState(CONNECTION_STATES.OFFLINE, { failures: this.pollFailures });
+    }
+    this.schedulePoll(Utils.getBackoffDelay(this.pollFailures, CONFIG.POLL_INTERVAL, CONFIG.POLL_MAX_INTERVAL));
+  }
+
+  scheduleSocketRetry() {
+    if (!this.socket) return;
+
+    const delay = Utils.getBackoffDelay(this.socketRetries, CONFIG.SOCKET_RETRY_INTERVAL, CONFIG.SOCKET_RETRY_MAX_INTERVAL);
+
+    clearTimeout(this.socketRetryTimer);
+    this.socketRetryTimer = setTimeout(() => {
+      if (!this.isPolling()) return;
+
+      this.socketRetries++;
+      if (!this.socket.connected) {
+        this.socket.connect();
+      }
+      this.scheduleSocketRetry();
+    }, delay);
+  }
+
+  setState(state, details = {}) {
+    const previousState = this.state;
+    if (previousState === state) return;
+
+    this.state = state;
+    this.core.eventsCore.emit('connectionStateChanged', { state, previousState, ...details });
+  }
+
+  destroy() {
+    this.stopPolling();
+    this.socket = null;
+  }
+}
+
+export default ConnectionSupervisor;
@@ -1,84 +1,196 @@
 import EventEmitter from '../battle-history/scripts/eventEmitter.js';
-import { GAME_POINTS, STATS, CONFIG} from '../battle-history/scripts/constants.js';
+import { CONFIG} from '../battle-history/scripts/constants.js';
+import { EndpointConfig } from '../battle-history/scripts/endpointConfig.js';
+import { BattleNormalizer, MERGE_POLICIES } from '../battle-history/scripts/battleNormalizer.js';
+import { ScoringEngine } from '../battle-history/scripts/scoringEngine.js';
+import { SessionManager } from '../battle-history/scripts/sessionManager.js';
+import { ChallengeMode } from '../battle-history/scripts/challengeMode.js';
 import { StateManager } from '../battle-history/scripts/stateManager.js';
 import { Utils } from '../battle-history/scripts/utils.js';
+import SyncBridge, { SYNC_MESSAGES } from '../battle-history/scripts/syncBridge.js';
+import StatsSync from '../battle-history/scripts/statsSync.js';
+import ConnectionSupervisor from './connectionSupervisor.js';
+import GoalTracker from './goalTracker.js';
+import BattleLifecycle from './battleLifecycle.js';
 
 class CoreService {
   constructor() {
-    this.initializeState();
+    this.resetState();
     this.initializeCache();
+    this.scoring = ScoringEngine.getActive();
+    this.challenge = ChallengeMode.getActive();
+    this.goal = GoalTracker.getActive();
     this.eventsCore = new EventEmitter();
+    this.lifecycle = new BattleLifecycle(this);
+    // Registered first so every other statsUpdated listener sees up-to-date battle states.
+    this.eventsCore.on('statsUpdated', () => this.lifecycle.sync());
+    this.connection = new ConnectionSupervisor(this);
+    this.syncBridge = new SyncBridge('widget');
+    this.initializeDiagnostics();
+    this.setupSyncBridge();
     this.setupDebouncedMethods();
-    this.initializeSocket();
-    if (!this.socket || !this.socket.connected) {
-      this.loadFromServer().then(() => {
-      this.eventsCore.emit('statsUpdated');
+    this.ready = this.initializeState().then(() => {
+      this.initializeSocket();
+      if (!this.socket || !this.socket.connected) {
+        this.loadFromServer().then(() => {
+          this.eventsCore.emit('statsUpdated');
+        });
+      }
     });
-    }
   }
 
   initializeSocket() {
-    const accessKey = this.getAccessKey();
-    if (!accessKey) {
-      console.error('Access key not found, WebSocket not initialized.');
-      return;
+    this.statsSync = new StatsSync({
+      getAccessKey: () => this.getAccessKey(),
+      getRevision: () => this.revision,
+      onSnapshot: (response) => this.applyServerSnapshot(response, response.revision),
+      onDelta: (response) => this.applyServerDelta(response),
+      onSocketCreated: (socket) => this.watchSocket(socket),
+      onNotified: () => this.updateDiagnostics({ lastStatsUpdate: Date.now() }),
+      onUnavailable: () => this.connection.startPolling(),
+      onLatency: (latency) => this.updateDiagnostics({ latency }),
+      onError: (error) => this.recordError(error)
+    });
+    this.socket = this.statsSync.connect();
+  }
+
+  watchSocket(socket) {
+    this.connection.attach(socket);
+
+    socket.on('connect', () => {
+      this.updateDiagnostics({ transport: socket.io.engine?.transport?.name || null });
+      socket.io.engine?.on('upgrade', (transport) => {
+        this.updateDiagnostics({ transport: transport.name });
+      });
+    });
+
+    socket.on('disconnect', () => {
+      this.updateDiagnostics({ transport: null });
+    });
+  }
+
+  applyServerDelta(delta) {
+    const changed = this.applyStatsDelta(delta);
+    this.revision = delta.revision;
+
+    if (changed) {
+      this.commitStatsChange(BattleNormalizer.getDeltaChanges(this.BattleStats, delta));
+    } else {
+      this.saveState();
     }
-    
-    if (typeof io === 'undefined') {
-      console.error('Socket.IO library not found!');
-      return;
+  }
+
+  initializeDiagnostics() {
+    this.diagnostics = {
+      transport: null,
+      lastStatsUpdate: null,
+      latency: null,
+      lastError: null
+    };
+
+    this.eventsCore.on('connectionStateChanged', () => {
+      this.eventsCore.emit('diagnosticsUpdated', this.getDiagnostics());
+    });
+
+    this.eventsCore.on('connectionError', (error) => {
+      this.recordError(error);
+    });
+  }
+
+  updateDiagnostics(changes) {
+    Object.assign(this.diagnostics, changes);
+    this.eventsCore.emit('diagnosticsUpdated', this.getDiagnostics());
+  }
+
+  recordError(error) {
+    this.updateDiagnostics({
+      lastError: { message: error?.message || String(error), time: Date.now() }
+    });
+  }
+
+  getDiagnostics() {
+    return {
+      ...this.diagnostics,
+      state: this.connection.state,
+      battlesCached: Object.keys(this.BattleStats || {}).length
+    };
+  }
+
+  applyStatsDelta(delta) {
+    return BattleNormalizer.applyDelta(this, delta);
+  }
+
+  applyServerSnapshot(data, revision) {
+    const oldData = { PlayersInfo: this.PlayersInfo, BattleStats: JSON.parse(JSON.stringify(this.BattleStats)) };
+
+    this.handleServerData(data);
+    this.revision = typeof revision === 'number' ? revision : null;
+
+    if (this.isDataChanged({ PlayersInfo: this.PlayersInfo, BattleStats: this.BattleStats }, oldData)) {
+      this.commitStatsChange(BattleNormalizer.diffBattleStats(oldData.BattleStats, this.BattleStats));
+    } else {
+      this.saveState();
     }
-    
-    try {
-      this.socket = io(atob(STATS.WEBSOCKET_URL), {
-        query: { key: accessKey },
-        transports: ['websocket', 'polling'],
-        reconnectionAttempts: 5,
-        reconnectionDelay: 1000,
-        timeout: 20000,
-      });
+  }
 
-      this.socket.on('connect', () => {
-        this.socket.emit('getStats', { key: accessKey }, (response) => {
-          if (response && response.status === 200) {
-            this.handleServerData(response);
-            this.clearCalculationCache();
-            this.eventsCore.emit('statsUpdated');
-            this.saveState();
-          } else {
-            console.error('Error getting initial stats:', response?.message || 'Unknown error');
-          }
-        });
+  commitStatsChange(changes = null) {
+    this.clearCalculationCache();
+    this.eventsCore.emit('statsUpdated');
+    this.saveState();
+
+    if (changes && (Object.keys(changes.updated).length > 0 || changes.removed.length > 0)) {
+      this.syncBridge.publish(SYNC_MESSAGES.BATTLES_UPDATED, {
+        BattleStats: changes.updated,
+        PlayersInfo: this.PlayersInfo,
+        removed: changes.removed
       });
+    }
+  }
 
-      this.socket.on('statsUpdated', (data) => {
-        if (data && data.key === accessKey) {
-          this.socket.emit('getStats', { key: accessKey }, (response) => {
-            if (response && response.status === 200) {
-              const oldPlayersInfo = JSON.stringify(this.PlayersInfo);
-              const oldBattleStats = JSON.stringify(this.BattleStats);
-
-              
-              this.handleServerData(response);
-              
-              const newPlayersInfo = JSON.stringify(this.PlayersInfo);
-              const newBattleStats = JSON.stringify(this.BattleStats);
-              const playersChanged = oldPlayersInfo !== newPlayersInfo;
-              const battlesChanged = oldBattleStats !== newBattleStats;
-              
-              if (playersChanged || battlesChanged) {
-                this.clearCalculationCache();
-                this.eventsCore.emit('statsUpdated');
-                this.saveState();
-              }
-            }
-          });
+  setupSyncBridge() {
+    this.syncBridge.on(SYNC_MESSAGES.BATTLES_REMOVED, ({ removed = [] }) => {
+      let changed = false;
+      removed.forEach(arenaId => {
+        if (this.BattleStats[arenaId]) {
+          delete this.BattleStats[arenaId];
+          changed = true;
         }
       });
 
-    } catch (error) {
-      console.error('WebSocket initialization error:', error);
-    }
+      if (changed) {
+        this.commitStatsChange();
+      }
+    });
+
+    this.syncBridge.on(SYNC_MESSAGES.HISTORY_CLEARED, () => {
+      this.resetState();
+      this.commitStatsChange();
+    });
+
+    this.syncBridge.on(SYNC_MESSAGES.SESSION_STARTED, () => {
+      this.handleSessionChange();
+    });
+  }
+
+  startNewSession() {
+    const session = SessionManager.startSession();
+    this.syncBridge.publish(SYNC_MESSAGES.SESSION_STARTED, { session });
+    this.handleSessionChange();
+    return session;
+  }
+
+  handleSessionChange() {
+    this.clearCalculationCache();
+    this.eventsCore.emit('statsUpdated');
+  }
+
+  // Widget totals only cover the current session; older battles stay in BattleStats for the history page.
+  getSessionBattleIds() {
+    const sessions = SessionManager.getSessions();
+    const { id } = sessions[sessions.length - 1];
+
+    return Object.keys(this.BattleStats)
+      .filter(arenaId => SessionManager.isInSession(this.BattleStats[arenaId], id, sessions));
   }
 
   isDataChanged(newData, oldData) {
@@ -87,100 +199,21 @@ class CoreService {
 
   handleServerData(data) {
     if (data.success || data.BattleStats || data.PlayerInfo) {
-      const battleStats = data.BattleStats || {};
-      const playersInfo = data.PlayerInfo || {};
-      
-      if (battleStats) {
-        const normalized = {};
-        Object.entries(battleStats).forEach(([arenaId, battle]) => {
-          const battleData = (battle && typeof battle === 'object' && battle._id) ? battle._id : battle;
-          
-          const players = {};
-          const rawPlayers = battleData?.players || {};
-          Object.entries(rawPlayers).forEach(([pid, playerData]) => {
-            const p = (playerData && typeof playerData === 'object' && playerData._id) ? playerData._id : playerData;
-            
-            const kills = typeof p.kills === 'number' ? p.kills : 0;
-            const damage = typeof p.damage === 'number' ? p.damage : 0;
-            const points = typeof p.points === 'number' ? p.points : (damage + kills * GAME_POINTS.POINTS_PER_FRAG);
-
-            const existingPlayer = this.BattleStats?.[arenaId]?.players?.[pid];
-            if (existingPlayer) {
-              players[pid] = {
-                name: p.name || existingPlayer.name || this.PlayersInfo?.[pid] || 'Unknown Player',
-                damage: Math.max(damage || 0, existingPlayer.damage || 0),
-                kills: Math.max(kills || 0, existingPlayer.kills || 0),
-                points: Math.max(points || 0, existingPlayer.points || 0),
-                vehicle: p.vehicle || existingPlayer.vehicle || 'Unknown Vehicle'
-              };
-            } else {
-              players[pid] = {
-                name: p.name || this.PlayersInfo?.[pid] || 'Unknown Player',
-                damage,
-                kills,
-                points,
-                vehicle: p.vehicle || 'Unknown Vehicle'
-              };
-            }
-          });
-
-          const existingBattle = this.BattleStats?.[arenaId];
-          
-          const localDuration = existingBattle?.duration ?? 0;
-          const serverDuration = battleData.duration ?? 0;
-          const finalDuration = Math.max(localDuration, serverDuration);
-          
-          const localWin = existingBattle?.win ?? -1;
-          const serverWin = typeof battleData.win === 'number' ? battleData.win : -1;
-          const finalWin = serverWin !== -1 ? serverWin : localWin;
-          
-          const finalMapName = (existingBattle?.mapName && existingBattle.mapName !== 'Unknown Map') 
-          ? existingBattle.mapName 
-          : (battleData.mapName || 'Unknown Map');
-
-          normalized[arenaId] = {
-            startTime: battleData.startTime || (existingBattle?.startTime) || Date.now(),
-            duration: finalDuration,
-            win: finalWin,
-            mapName: finalMapName,
-            players
-          };
-        });
-        
-        Object.entries(this.BattleStats || {}).forEach(([arenaId, localBattle]) => {
-          if (!normalized[arenaId]) {
-            normalized[arenaId] = localBattle;
-          }
-        });
-        
-        this.BattleStats = normalized;
-      }
-      
-      if (playersInfo) {
-        const normalizedPlayerInfo = {};
-        Object.entries(playersInfo).forEach(([playerId, playerInfo]) => {
-          if (typeof playerInfo === 'object' && playerInfo._id) {
-            normalizedPlayerInfo[playerId] = playerInfo._id;
-          } else if (typeof playerInfo === 'string') {
-            normalizedPlayerInfo[playerId] = playerInfo;
-          } else {
-            normalizedPlayerInfo[playerId] = playerInfo;
-          }
-        });
-        this.PlayersInfo = normalizedPlayerInfo;
-      }
+      const { BattleStats, PlayersInfo } = BattleNormalizer.mergeServerData(this, data, MERGE_POLICIES.KEEP_LOCAL);
+      this.BattleStats = BattleStats;
+      this.PlayersInfo = PlayersInfo;
 
       this.clearBestWorstCache();
     }
   }
 
-  initializeState() {
-    const savedState = StateManager.loadState();
+  async initializeState() {
+    const savedState = await StateManager.loadState();
     if (savedState) {
       this.BattleStats = savedState.BattleStats || {};
       this.PlayersInfo = savedState.PlayersInfo || {};
       this.curentArenaId = savedState.curentArenaId || null;
-
+      this.revision = typeof savedState.revision === 'number' ? savedState.revision : null;
     } else {
       this.resetState();
     }
@@ -194,6 +227,7 @@ class CoreService {
     this.BattleStats = {};
     this.PlayersInfo = {};
     this.curentArenaId = null;
+    this.revision = null;
   }
 
   setupDebouncedMethods() {
@@ -236,8 +270,13 @@ class CoreService {
       BattleStats: this.BattleStats,
       PlayersInfo: this.PlayersInfo,
       curentArenaId: this.curentArenaId,
+      revision: this.revision,
     };
-    StateManager.saveState(state);
+    return StateManager.saveState(state);
+  }
+
+  clearSavedState() {
+    return StateManager.clearState();
   }
 
   getPlayersIds() {
@@ -247,16 +286,17 @@ class CoreService {
   }
 
   findBestAndWorstBattle() {
-    const battleIds = Object.keys(this.BattleStats).sort().join(',');
-    const cacheKey = `bestWorst_${battleIds}_${Object.keys(this.BattleStats).length}`;
+    const sessionBattleIds = this.getSessionBattleIds();
+    const battleIds = [...sessionBattleIds].sort().join(',');
+    const cacheKey = `bestWorst_${battleIds}_${sessionBattleIds.length}`;
     
     if (this.calculationCache.has(cacheKey)) {
       return this.calculationCache.get(cacheKey);
     }
 
-    const allBattles = Object.entries(this.BattleStats).map(([arenaId, battle]) => ({
+    const allBattles = sessionBattleIds.map(arenaId => ({
       id: arenaId,
-      ...battle
+      ...this.BattleStats[arenaId]
     }));
 
     if (!allBattles || allBattles.length === 0) {
@@ -313,19 +353,7 @@ class CoreService {
   }
 
   calculateBattlePoints(battle) {
-    let battlePoints = 0;
-
-    if (battle.win === 1) {
-      battlePoints += GAME_POINTS.POINTS_PER_TEAM_WIN;
-    }
-
-    if (battle && battle.players) {
-      Object.values(battle.players).forEach(player => {
-        battlePoints += player.points || 0;
-      });
-    }
-
-    return battlePoints;
+    return this.scoring.scoreBattle(battle).battlePoints;
   }
 
   calculateBattleData(arenaId = null) {
@@ -346,9 +374,9 @@ class CoreService {
 
     try {
       if (this.BattleStats[targetArenaId] && this.BattleStats[targetArenaId].players) {
+        battlePoints = this.calculateBattlePoints(this.BattleStats[targetArenaId]);
         for (const playerId in this.BattleStats[targetArenaId].players) {
           const player = this.BattleStats[targetArenaId].players[playerId];
-          battlePoints += player.points || 0;
           battleDamage += player.damage || 0;
           battleKills += player.kills || 0;
         }
@@ -363,16 +391,12 @@ class CoreService {
   }
 
   getCurrentBattleId() {
-    for (const arenaId in this.BattleStats) {
-      if (this.BattleStats[arenaId].duration === 0) {
-        return arenaId;
-      }
-    }
-    return null;
+    return this.lifecycle.getCurrentBattleId();
   }
 
   calculatePlayerData(playerId) {
-    const cacheKey = `player_${playerId}_${Object.keys(this.BattleStats).length}`;
+    const sessionBattleIds = this.getSessionBattleIds();
+    const cacheKey = `player_${playerId}_${sessionBattleIds.length}`;
     
     if (this.calculationCache.has(cacheKey)) {
       return this.calculationCache.get(cacheKey);
@@ -381,49 +405,64 @@ class CoreService {
     let playerPoints = 0;
     let playerDamage = 0;
     let playerKills = 0;
+    let playerBattles = 0;
+    let lastVehicle = null;
+    let lastStartTime = -Infinity;
 
     try {
-      for (const arenaId in this.BattleStats) {
+      for (const arenaId of sessionBattleIds) {
         const player = this.BattleStats[arenaId].players[playerId];
         if (player) {
-          playerPoints += player.points || 0;
+          playerPoints += this.scoring.scorePlayer(player);
           playerDamage += player.damage || 0;
           playerKills += player.kills || 0;
+          playerBattles++;
+
+          const startTime = this.BattleStats[arenaId].startTime || 0;
+          if (player.vehicle && startTime >= lastStartTime) {
+            lastVehicle = player.vehicle;
+            lastStartTime = startTime;
+          }
         }
       }
     } catch (error) {
       console.error('An error in the calculation of player data:', error);
     }
 
-    const result = { playerPoints, playerDamage, playerKills };
+    const result = { playerPoints, playerDamage, playerKills, playerBattles, lastVehicle };
     this.calculationCache.set(cacheKey, result);
     return result;
   }
 
   calculateTeamData() {
-    const cacheKey = `team_${Object.keys(this.BattleStats).length}`;
+    const sessionBattleIds = this.getSessionBattleIds();
+    const cacheKey = `team_${sessionBattleIds.length}`;
     
     if (this.calculationCache.has(cacheKey)) {
       return this.calculationCache.get(cacheKey);
     }
 
     let teamPoints = 0;
+    let playerPoints = 0;
     let teamDamage = 0;
     let teamKills = 0;
     let wins = 0;
     let battles = 0;
 
     try {
-      for (const arenaId in this.BattleStats) {
+      for (const arenaId of sessionBattleIds) {
         battles++;
         if (this.BattleStats[arenaId].win === 1) {
-          teamPoints += GAME_POINTS.POINTS_PER_TEAM_WIN;
           wins++;
         }
 
+        // playerPoints leaves out the win/draw bonuses, so player shares of it add up to 100%.
+        const scored = this.scoring.scoreBattle(this.BattleStats[arenaId]);
+        teamPoints += scored.battlePoints;
+        playerPoints += scored.playerPoints;
+
         for (const playerId in this.BattleStats[arenaId].players) {
           const player = this.BattleStats[arenaId].players[playerId];
-          teamPoints += player.points || 0;
           teamDamage += player.damage || 0;
           teamKills += player.kills || 0;
         }
@@ -432,11 +471,89 @@ class CoreService {
       console.error('Error in calculating command data:', error);
     }
 
-    const result = { teamPoints, teamDamage, teamKills, wins, battles };
+    const result = { teamPoints, playerPoints, teamDamage, teamKills, wins, battles };
+    this.calculationCache.set(cacheKey, result);
+    return result;
+  }
+
+  getRecentBattles(limit) {
+    return this.getSessionBattleIds()
+      .filter(arenaId => this.BattleStats[arenaId].win !== -1)
+      .map(arenaId => ({
+        id: arenaId,
+        startTime: SessionManager.toSeconds(this.BattleStats[arenaId].startTime || 0),
+        win: this.BattleStats[arenaId].win,
+        points: this.calculateBattlePoints(this.BattleStats[arenaId])
+      }))
+      .sort((a, b) => b.startTime - a.startTime)
+      .slice(0, limit);
+  }
+
+  getBattleSummary(arenaId) {
+    const battle = this.BattleStats[arenaId];
+    if (!battle) return null;
+
+    const points = this.calculateBattlePoints(battle);
+    const otherPoints = this.getSessionBattleIds()
+      .filter(id => id !== arenaId && this.BattleStats[id].win !== -1)
+      .map(id => this.calculateBattlePoints(this.BattleStats[id]));
+
+    const players = Object.entries(battle.players || {}).map(([playerId, player]) => ({
+      id: playerId,
+      name: this.PlayersInfo[playerId] || player.name,
+      damage: player.damage || 0,
+      kills: player.kills || 0,
+      points: this.scoring.scorePlayer(player)
+    }));
+
+    return {
+      arenaId,
+      win: battle.win,
+      mapName: battle.mapName,
+      points,
+      players,
+      rank: otherPoints.filter(other => other > points).length + 1,
+      battlesCount: otherPoints.length + 1,
+      isNewBest: otherPoints.length > 0 && otherPoints.every(other => points > other)
+    };
+  }
+
+  // Returns null when no challenge is configured.
+  calculateChallengeData() {
+    if (!this.challenge) return null;
+
+    const sessionBattleIds = this.getSessionBattleIds();
+    const cacheKey = `challenge_${sessionBattleIds.length}`;
+
+    if (this.calculationCache.has(cacheKey)) {
+      return this.calculationCache.get(cacheKey);
+    }
+
+    const completedBattles = sessionBattleIds
+      .filter(arenaId => this.BattleStats[arenaId].win !== -1)
+      .map(arenaId => ({
+        id: arenaId,
+        startTime: SessionManager.toSeconds(this.BattleStats[arenaId].startTime || 0),
+        points: this.calculateBattlePoints(this.BattleStats[arenaId])
+      }));
+
+    const result = this.challenge.evaluate(completedBattles);
     this.calculationCache.set(cacheKey, result);
     return result;
   }
 
+  // Returns null when no goal is configured.
+  calculateGoalData() {
+    if (!this.goal) return null;
+
+    const startTimes = this.getSessionBattleIds()
+      .map(arenaId => SessionManager.toSeconds(this.BattleStats[arenaId].startTime || 0))
+      .filter(Boolean);
+    const startedAt = startTimes.length > 0 ? Math.min(...startTimes) * 1000 : null;
+
+    return this.goal.evaluate(this.calculateTeamData(), startedAt);
+  }
+
   getAccessKey() {
     return StateManager.getAccessKey();
   }
@@ -447,12 +564,9 @@ class CoreService {
     if (!accessKey) return;
     
     if (this.socket && this.socket.connected) {
-      this.socket.emit('getStats', { key: accessKey }, (response) => {
+      this.statsSync.emitWithLatency('getStats', { key: accessKey }, (response) => {
         if (response && response.status === 200) {
-          this.handleServerData(response);
-          this.clearCalculationCache();
-          this.eventsCore.emit('statsUpdated');
-          this.saveState();
+          this.applyServerSnapshot(response, response.revision);
         } else {
           console.error('Error getting initial stats via socket:', response?.message || 'Unknown error');
           this.loadViaREST(accessKey);
@@ -467,33 +581,29 @@ class CoreService {
     try {
       if (!accessKey) {
         console.error('Access key is required to load data via REST.');
-        return;
+        return false;
       } 
 
-      const res = await fetch(`${atob(STATS.WEBSOCKET_URL)}/api/battle-stats/stats?limit=0`, {
+      const res = await fetch(EndpointConfig.getApiUrl('/stats?limit=0'), {
         method: 'GET',
-        headers: {
-          'X-API-Key': accessKey,
-          'Content-Type': 'application/json',
-          'Accept': 'application/json',
-          'Origin': 'https://underpressureph7.github.io'
-        },
+        headers: EndpointConfig.getHeaders(accessKey),
         mode: 'cors',
         cache: 'no-cache'
       });
 
       if (res.ok) {
         const body = await res.json();
-        console.log('Data loaded from server via REST:', body);
-        this.handleServerData({ success: true, ...body.data });
-        this.clearCalculationCache();
-        this.eventsCore.emit('statsUpdated');
-        this.saveState();
-      } else {
-        console.error('REST API error:', res.status, res.statusText);
+        this.applyServerSnapshot({ success: true, ...body.data }, body.data?.revision);
+        return true;
       }
+
+      console.error('REST API error:', res.status, res.statusText);
+      this.recordError(new Error(`REST API error: ${res.status} ${res.statusText}`));
+      return false;
     } catch (error) {
       console.error('Error loading from server via REST:', error);
+      this.recordError(error);
+      return false;
     }
   }
 
@@ -509,8 +619,10 @@ class CoreService {
         if (response && response.status === 200) {
           this.BattleStats = {};
           this.PlayersInfo = {};
+          this.revision = null;
           this.clearCalculationCache();
           this.eventsCore.emit('statsUpdated');
+          this.syncBridge.publish(SYNC_MESSAGES.HISTORY_CLEARED);
         } else {
           console.error('Error clearing data via socket:', response?.message || 'Unknown error');
         }
@@ -519,12 +631,9 @@ class CoreService {
     }
 
     try {
-      const response = await fetch(`${atob(STATS.WEBSOCKET_URL)}/api/battle-stats/clear`, {
+      const response = await fetch(EndpointConfig.getApiUrl('/clear'), {
         method: 'DELETE',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-API-Key': accessKey
-        }
+        headers: EndpointConfig.getHeaders(accessKey)
       });
 
       if (!response.ok) {
@@ -535,8 +644,10 @@ class CoreService {
       if (data.success) {
         this.BattleStats = {};
         this.PlayersInfo = {};
+        this.revision = null;
         this.clearCalculationCache();
         this.eventsCore.emit('statsUpdated');
+        this.syncBridge.publish(SYNC_MESSAGES.HISTORY_CLEARED);
       } else {
         throw new Error(data.message || 'Failed to clear data');
       }
@@ -0,0 +1,40 @@
+import { Utils } from '../battle-history/scripts/utils.js';
+
+export const LAYOUTS = ['vertical', 'horizontal', 'compact', 'ticker'];
+export const THEMES = ['dark', 'light', 'contrast', 'wotstat'];
+
+const DEFAULT_SETTINGS = {
+  layout: 'vertical',
+  theme: 'dark',
+  scale: 1,
+  opacity: 0.9
+};
+
+// Overlay appearance comes from query parameters next to the access key:
+// ?layout=ticker&theme=wotstat&scale=1.25&opacity=0.6#key=...
+export class DisplaySettings {
+  static clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+  }
+
+  static fromUrl(params = Utils.getQueryParams()) {
+    const layout = params.get('layout');
+    const theme = params.get('theme');
+    const scale = parseFloat(params.get('scale'));
+    const opacity = parseFloat(params.get('opacity'));
+
+    return {
+      layout: LAYOUTS.includes(layout) ? layout : DEFAULT_SETTINGS.layout,
+      theme: THEMES.includes(theme) ? theme : DEFAULT_SETTINGS.theme,
+      scale: Number.isFinite(scale) ? this.clamp(scale, 0.5, 3) : DEFAULT_SETTINGS.scale,
+      opacity: Number.isFinite(opacity) ? this.clamp(opacity, 0, 1) : DEFAULT_SETTINGS.opacity
+    };
+  }
+
+  static apply(settings, root = document.body) {
+    root.dataset.layout = settings.layout;
+    root.dataset.theme = settings.theme;
+    root.style.setProperty('--widget-scale', settings.scale);
+    root.style.setProperty('--widget-opacity', settings.opacity);
+  }
+}
@@ -0,0 +1,100 @@
+import { CACHE_KEYS } from '../battle-history/scripts/constants.js';
+import { Utils } from '../battle-history/scripts/utils.js';
+
+class GoalTracker {
+  constructor({ target, battleLimit = null, deadline = null }) {
+    this.target = target;
+    this.battleLimit = battleLimit;
+    this.deadline = deadline;
+  }
+
+  static parseConfig(config) {
+    const target = parseInt(config?.target, 10);
+    if (!(target > 0)) return null;
+
+    const battleLimit = parseInt(config.battleLimit, 10);
+    const deadline = config.deadline ? new Date(config.deadline).getTime() : NaN;
+
+    return {
+      target,
+      battleLimit: battleLimit > 0 ? battleLimit : null,
+      deadline: Number.isNaN(deadline) ? null : deadline
+    };
+  }
+
+  // ?goal=50000&goalBattles=20&goalDeadline=2026-10-25T22:00, ?goal=off
+  static getConfig() {
+    const params = Utils.getQueryParams();
+    const urlTarget = params.get('goal');
+
+    if (urlTarget === 'off') {
+      localStorage.removeItem(CACHE_KEYS.GOAL);
+      return null;
+    }
+
+    if (urlTarget) {
+      const config = this.parseConfig({
+        target: urlTarget,
+        battleLimit: params.get('goalBattles'),
+        deadline: params.get('goalDeadline')
+      });
+      if (config) {
+        localStorage.setItem(CACHE_KEYS.GOAL, JSON.stringify(config));
+        return config;
+      }
+    }
+
+    try {
+      return this.parseConfig(JSON.parse(localStorage.getItem(CACHE_KEYS.GOAL)));
+    } catch (error) {
+      console.error('Error reading goal config:', error);
+      return null;
+    }
+  }
+
+  static getActive() {
+    const config = this.getConfig();
+    return config ? new GoalTracker(config) : null;
+  }
+
+  // teamStats comes from CoreService.calculateTeamData(), startedAt is the first battle's start in ms.
+  evaluate({ teamPoints, battles }, startedAt = null, now = Date.now()) {
+    const remaining = Math.max(0, this.target - teamPoints);
+    const progress = Math.min(1, teamPoints / this.target);
+    const pace = battles > 0 ? teamPoints / battles : 0;
+
+    const battlesLeft = this.battleLimit ? Math.max(0, this.battleLimit - battles) : null;
+    const requiredAverage = battlesLeft ? Math.ceil(remaining / battlesLeft) : null;
+
+    const battlesToGoal = remaining === 0 ? 0 : (pace > 0 ? Math.ceil(remaining / pace) : null);
+    const projectedTotal = battlesLeft !== null ? Math.round(teamPoints + pace * battlesLeft) : null;
+
+    let projectedFinish = null;
+    if (battlesToGoal !== null && startedAt && battles > 0) {
+      const battleInterval = (now - startedAt) / battles;
+      projectedFinish = now + battlesToGoal * battleInterval;
+    }
+
+    let onTrack = remaining === 0 || battles === 0;
+    if (!onTrack && battlesToGoal !== null) {
+      onTrack = (battlesLeft === null || battlesToGoal <= battlesLeft) &&
+        (this.deadline === null || (projectedFinish !== null && projectedFinish <= this.deadline));
+    }
+
+    return {
+      target: this.target,
+      deadline: this.deadline,
+      remaining,
+      progress,
+      pace,
+      battlesLeft,
+      requiredAverage,
+      battlesToGoal,
+      projectedTotal,
+      projectedFinish,
+      onTrack
+    };
+  }
+}
+
+export default GoalTracker;
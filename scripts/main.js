@@ -1,6 +1,8 @@
 import CoreService from './coreService.js';
 import UIService from './uiService.js';
-import { STATS } from '../battle-history/scripts/constants.js';
+import { AuthService, AUTH_RESULTS } from '../battle-history/scripts/authService.js';
+import { DomUtils } from '../battle-history/scripts/domUtils.js';
+import { LoginForm } from '../battle-history/scripts/loginForm.js';
 
 export default class SquadWidget {
   constructor() {
@@ -13,13 +15,14 @@ export default class SquadWidget {
 
   async init() {
     try {
-      const hasAccess = await this.checkAccessKey();
+      const result = await AuthService.authorize(secondsLeft => this.showServerUnavailable(secondsLeft));
       
-      if (!hasAccess) {
+      if (result !== AUTH_RESULTS.GRANTED) {
         this.showAccessDenied();
         return;
       }
       
+      this.hideStatusMessage();
       this.initializeServices();
     } catch (error) {
       console.error('Error in init:', error);
@@ -40,7 +43,8 @@ export default class SquadWidget {
 
   initialize() {
     try {
-      this.coreService.loadFromServer()
+      this.coreService.ready
+        .then(() => this.coreService.loadFromServer())
         .then(() => {
           this.uiService.updatePlayersUI();
         })
@@ -53,120 +57,14 @@ export default class SquadWidget {
     }
   }
 
-  async checkAccessKey() {
-    try {
-      localStorage.removeItem('accessKey');
-      const urlKey = window.location.search.substring(1);
-      const keyAPI = urlKey;
-      if (!keyAPI) return false;
-
-      const baseUrl = atob(STATS.WEBSOCKET_URL)
-      const apiUrl = `${baseUrl}/api/battle-stats/stats`;
-      
-      const response = await fetch(apiUrl, {
-        method: 'GET',
-        headers: {
-          'X-API-Key': keyAPI,
-          'Content-Type': 'application/json',
-          'Accept': 'application/json',
-          'Origin': 'https://underpressureph7.github.io'
-        },
-        mode: 'cors',
-        cache: 'no-cache'
-      });
-    
-      if (response.status === 401) {
-        return false;
-      }
-  
-      if (!response.ok) {
-        console.error(`HTTP error! status: ${response.status}, statusText: ${response.statusText}`);
-        
-        if (response.status === 0 || response.status >= 500) {
-          console.error('Server or network error - treating as access denied');
-          return false;
-        }
-        
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-  
-      let data;
-      try {
-        data = await response.json();
-      } catch (parseError) {
-        console.error('Error parsing JSON response:', parseError);
-        return false;
-      }
-  
-      if (data && data.success !== false) {
-        if (urlKey) {
-          console.log('Access granted, storing access key in localStorage');
-          localStorage.setItem('accessKey', urlKey);
-        }
-        return true;
-      }
-      
-      return false;
-  
-    } catch (error) {
-      console.error('Error in checkAccessKey:', error);
-      
-      if (error.name === 'TypeError' && error.message.includes('Failed to fetch')) {
-        console.error('Network error or CORS issue - check server configuration');
-      }
-      
-      if (error.name === 'AbortError') {
-        console.error('Request was aborted');
-      }
-      
-      console.error('Detailed error:', error);
-      return false;
-    }
-  }
-
   showAccessDenied() {
     try {
       const showDenied = () => {
-        
         document.body.innerHTML = '';
-        
-        const container = document.createElement('div');
-        container.id = 'access-denied-container';
-        container.style.cssText = `
-          position: fixed;
-          top: 0;
-          left: 0;
-          width: 100vw;
-          height: 100vh;
-          display: flex;
-          justify-content: center;
-          align-items: center;
-          background-color: rgba(0, 0, 0, 0.8);
-          z-index: 99999;
-          font-family: Arial, sans-serif;
-        `;
-
-        const message = document.createElement('div');
-        message.style.cssText = `
-          text-align: center;
-          padding: 3em;
-          border-radius: 1em;
-          background-color: rgba(20, 20, 20, 0.95);
-          color: #ffffff;
-          border: 2px solid #ff4444;
-          box-shadow: 0 4px 20px rgba(0, 0, 0, 0.5);
-          max-width: 400px;
-        `;
-
-        message.innerHTML = `
-          <h2 style="color: #ff4444; margin-bottom: 1em; font-size: 1.5em;">Доступ заборонено</h2>
-          <p style="margin-bottom: 1em; font-size: 1.1em;">Невірний ключ доступу або помилка сервера</p>
-          <p style="font-size: 0.9em; color: #cccccc;">Перевірте правильність посилання або спробуйте пізніше</p>
-        `;
-
-        container.appendChild(message);
-        document.body.appendChild(container);
-        
+        this.showStatusMessage('Доступ заборонено', [
+          'Невірний або відсутній ключ доступу',
+          'Перевірте посилання або введіть ключ'
+        ], '#ff4444', LoginForm.create());
       };
 
       if (document.body) {
@@ -180,7 +78,68 @@ export default class SquadWidget {
       }
     } catch (error) {
       console.error('Error in showAccessDenied:', error);
-      alert('Доступ заборонено. Невірний ключ доступу або помилка сервера.');
+      alert('Доступ заборонено. Невірний ключ доступу.');
     }
   }
+
+  showServerUnavailable(secondsLeft) {
+    this.showStatusMessage('Сервер недоступний', [
+      'Сервер запускається або тимчасово не відповідає',
+      secondsLeft > 0 ? `Повторна спроба через ${secondsLeft} с` : 'Підключення...'
+    ], '#ffaa00');
+  }
+
+  // Shown over the widget without clearing it, so the page can continue once access is granted.
+  showStatusMessage(title, lines, accentColor = '#ff4444', content = null) {
+    this.hideStatusMessage();
+
+    const container = document.createElement('div');
+    container.id = 'access-denied-container';
+    container.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100vw;
+      height: 100vh;
+      display: flex;
+      justify-content: center;
+      align-items: center;
+      background-color: rgba(0, 0, 0, 0.8);
+      z-index: 99999;
+      font-family: Arial, sans-serif;
+    `;
+
+    const message = document.createElement('div');
+    message.style.cssText = `
+      text-align: center;
+      padding: 3em;
+      border-radius: 1em;
+      background-color: rgba(20, 20, 20, 0.95);
+      color: #ffffff;
+      border: 2px solid ${accentColor};
+      box-shadow: 0 4px 20px rgba(0, 0, 0, 0.5);
+      max-width: 400px;
+    `;
+
+    const heading = DomUtils.create('h2', '', title);
+    heading.style.cssText = `color: ${accentColor}; margin-bottom: 1em; font-size: 1.5em;`;
+    message.appendChild(heading);
+
+    lines.forEach((line, index) => {
+      const paragraph = DomUtils.create('p', '', line);
+      paragraph.style.cssText = index === 0
+        ? 'margin-bottom: 1em; font-size: 1.1em;'
+        : 'font-size: 0.9em; color: #cccccc;';
+      message.appendChild(paragraph);
+    });
+
+    if (content) message.appendChild(content);
+
+    container.appendChild(message);
+    document.body.appendChild(container);
+  }
+
+  hideStatusMessage() {
+    document.getElementById('access-denied-container')?.remove();
+  }
 }
\ No newline at end of file
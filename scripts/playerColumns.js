@@ -0,0 +1,121 @@
+import { CACHE_KEYS } from '../battle-history/scripts/constants.js';
+import { Utils } from '../battle-history/scripts/utils.js';
+
+// Metrics available in a player row. className keeps the existing row styles
+// (and the hangar/battle mode rules) working for the default columns; animated
+// metrics count up to their new value.
+export const PLAYER_METRICS = {
+  battleDamage: {
+    label: 'Шкода',
+    className: 'damage',
+    animated: true,
+    format: (stats) => `+${stats.battleDamage.toLocaleString()}`
+  },
+  totalDamage: {
+    label: 'Всього шкоди',
+    className: 'damage-in-battle',
+    animated: true,
+    format: (stats) => stats.totalDamage.toLocaleString()
+  },
+  battleKills: {
+    label: 'Фраги',
+    className: 'frags',
+    format: (stats) => `+${stats.battleKills}`
+  },
+  totalKills: {
+    label: 'Всього фрагів',
+    className: 'frags-in-battle',
+    format: (stats) => String(stats.totalKills)
+  },
+  points: {
+    label: 'Очки',
+    className: 'points',
+    animated: true,
+    format: (stats) => stats.points.toLocaleString()
+  },
+  avgDamage: {
+    label: 'Сер. шкода',
+    className: 'damage-avg',
+    animated: true,
+    format: (stats) => Math.round(stats.avgDamage).toLocaleString()
+  },
+  pointsShare: {
+    label: 'Частка очок',
+    className: 'points-share',
+    format: (stats) => `${(stats.pointsShare * 100).toFixed(0)}%`
+  },
+  vehicle: {
+    label: 'Танк',
+    className: 'vehicle',
+    format: (stats) => stats.vehicle || '—'
+  }
+};
+
+// Each column shows a main metric and optionally a smaller one underneath.
+export const DEFAULT_COLUMNS = [
+  { metrics: ['battleDamage', 'totalDamage'], label: null },
+  { metrics: ['battleKills', 'totalKills'], label: null }
+];
+
+export class PlayerColumns {
+  // ?columns=battleDamage+totalDamage,points:Очки,vehicle   ("id+id" stacks, ":label" renames)
+  // ?columns=default drops the saved configuration.
+  static parse(spec) {
+    if (!spec) return null;
+
+    const columns = spec.split(',')
+      .map(part => {
+        const [metricsPart, ...labelParts] = part.split(':');
+        // A raw '+' in the query string arrives as a space.
+        const metrics = metricsPart.split(/[+\s]+/)
+          .map(metric => metric.trim())
+          .filter(metric => PLAYER_METRICS[metric])
+          .slice(0, 2);
+        const label = labelParts.join(':').trim();
+
+        return metrics.length > 0 ? { metrics, label: label || null } : null;
+      })
+      .filter(Boolean);
+
+    return columns.length > 0 ? columns : null;
+  }
+
+  // Keyed by a hash so the access key itself never ends up in localStorage.
+  static getStorageKey(accessKey) {
+    return `${CACHE_KEYS.PLAYER_COLUMNS}_${accessKey ? Utils.hashString(accessKey) : 'default'}`;
+  }
+
+  static getConfig(accessKey) {
+    const storageKey = this.getStorageKey(accessKey);
+    const urlSpec = Utils.getQueryParams().get('columns');
+
+    if (urlSpec === 'default') {
+      localStorage.removeItem(storageKey);
+      return DEFAULT_COLUMNS;
+    }
+
+    const urlColumns = this.parse(urlSpec);
+    if (urlColumns) {
+      localStorage.setItem(storageKey, JSON.stringify(urlColumns));
+      return urlColumns;
+    }
+
+    try {
+      const saved = JSON.parse(localStorage.getItem(storageKey));
+      if (Array.isArray(saved) && saved.every(column => column.metrics?.every(metric => PLAYER_METRICS[metric]))) {
+        return saved;
+      }
+    } catch (error) {
+      console.error('Error reading player columns:', error);
+    }
+    return DEFAULT_COLUMNS;
+  }
+
+  static getLabel(column) {
+    return column.label || PLAYER_METRICS[column.metrics[0]].label;
+  }
+
+  static hasCustomLabels(columns) {
+    return columns.some(column => column.label);
+  }
+}
@@ -1,23 +1,68 @@
 import { Utils } from '../battle-history/scripts/utils.js';
-import { CONFIG } from '../battle-history/scripts/constants.js';
+import { CONFIG, CACHE_KEYS } from '../battle-history/scripts/constants.js';
+import { EndpointConfig } from '../battle-history/scripts/endpointConfig.js';
+import { DomUtils } from '../battle-history/scripts/domUtils.js';
+import { AuthService } from '../battle-history/scripts/authService.js';
+import { PlayerPreferences } from '../battle-history/scripts/playerPreferences.js';
+import { BATTLE_STATES } from './battleLifecycle.js';
+import { DisplaySettings } from './displaySettings.js';
+import { PlayerColumns, PLAYER_METRICS } from './playerColumns.js';
+import { ValueAnimator } from './valueAnimator.js';
 
 class UIService {
   constructor(coreService) {
     this.core = coreService;
+    this.displaySettings = DisplaySettings.fromUrl();
+    DisplaySettings.apply(this.displaySettings);
+    this.playerColumns = PlayerColumns.getConfig(this.core.getAccessKey());
+    this.renderStatsHeaders();
     this.updateThrottle = Utils.throttle(this.updatePlayersUI.bind(this), CONFIG.THROTTLE_DELAY);
     this.boundHandlers = {}; 
     this.isProcessing = {};
     this.lastPlayersData = null;
     this.lastTeamData = null;
+    this.playerRows = new Map();
+    this.summaryTimer = null;
+    this.summaryDuration = this.getSummaryDuration();
+    this.displayMode = null;
+    this.pendingDisplayMode = null;
+    this.displayModeTimer = null;
+    this.displayDelays = this.getDisplayDelays();
     
     this.core.eventsCore.on('statsUpdated', () => {
       this.handleStatsUpdate();
     });
+
+    this.core.eventsCore.on('connectionStateChanged', ({ state }) => {
+      this.updateConnectionStatus(state);
+    });
+
+    this.core.eventsCore.on('battleStateChanged', ({ arenaId, state, previousState }) => {
+      if (state === BATTLE_STATES.FINISHED && previousState) {
+        this.showBattleSummary(arenaId);
+      }
+      this.updateDisplayMode();
+    });
+
+    this.core.eventsCore.on('diagnosticsUpdated', (diagnostics) => {
+      this.updateDiagnosticsPanel(diagnostics);
+    });
+    
+    // Aliases, order and hidden players are edited on the history page.
+    window.addEventListener('storage', (event) => {
+      if (event.key === CACHE_KEYS.PLAYER_PREFERENCES) {
+        this.updatePlayersUI();
+      }
+    });
     
     this.setupEventListeners();
+    this.updateConnectionStatus(this.core.connection.state);
   }
 
   handleStatsUpdate() {
+    this.updateDiagnosticsPanel();
+    this.updateDisplayMode();
+
     const currentPlayersData = JSON.stringify({
       playersInfo: this.core.PlayersInfo,
       battleStats: this.core.BattleStats
@@ -42,80 +87,145 @@ class UIService {
   updatePlayersUI() {
     const container = document.getElementById('player-container');
     if (!container) return;
-    
-    container.innerHTML = '';
 
     const uniquePlayerIds = this.core.getPlayersIds();
 
     if (uniquePlayerIds.length === 0) {
+      container.innerHTML = '';
+      this.playerRows.clear();
       this.showEmptyMessage(container);
       return;
     }
 
+    container.querySelector('.empty-message')?.remove();
     this.renderPlayerRows(container, uniquePlayerIds);
     this.updateTeamStatsUI();
   }
 
   showEmptyMessage(container) {
-    const emptyMessage = document.createElement('div');
-    emptyMessage.className = 'empty-message';
-    emptyMessage.textContent = 'Гравців не знайдено';
-    container.appendChild(emptyMessage);
+    container.appendChild(DomUtils.create('div', 'empty-message', 'Гравців не знайдено'));
   }
 
   renderPlayerRows(container, playerIds) {
-    const playerRowStyle = playerIds.length > 2 ? 'font-size: 12px;' : '';
+    const orderedIds = PlayerPreferences.arrange(playerIds, (playerId) => {
+      const playerData = this.core.calculatePlayerData(playerId);
+      return { points: playerData.playerPoints, damage: playerData.playerDamage };
+    });
 
-    playerIds.forEach(playerId => {
-    const playerName = this.core.PlayersInfo[playerId];
-    if (!playerName) return;
+    const visibleIds = orderedIds.filter(playerId => this.core.PlayersInfo[playerId]);
 
-      const playerRow = this.createPlayerRow(playerId, playerRowStyle);
-      container.appendChild(playerRow);
+    container.classList.toggle('many-players', visibleIds.length > 2);
+
+    // Rows are keyed by player id and reused, so values can animate instead of being rebuilt.
+    this.playerRows.forEach((entry, playerId) => {
+      if (!visibleIds.includes(playerId)) {
+        entry.row.remove();
+        this.playerRows.delete(playerId);
+      }
+    });
+
+    visibleIds.forEach(playerId => {
+      let entry = this.playerRows.get(playerId);
+      if (!entry) {
+        entry = this.createPlayerRow(playerId);
+        this.playerRows.set(playerId, entry);
+      }
+
+      this.updatePlayerRow(entry, playerId);
+      // appendChild moves an existing row, which applies the current order.
+      container.appendChild(entry.row);
     });
   }
 
-  createPlayerRow(playerId, style) {
-    const playerRow = document.createElement('div');
-    playerRow.className = 'player-row';
-    if (style) playerRow.style = style;
+  renderStatsHeaders() {
+    document.body.style.setProperty('--player-columns', this.playerColumns.length);
+
+    const headers = document.querySelector('.stats-headers');
+    if (!headers) return;
+
+    headers.innerHTML = '';
+    ['Нікнейм', ...this.playerColumns.map(column => PlayerColumns.getLabel(column))].forEach(label => {
+      headers.appendChild(DomUtils.create('div', '', label));
+    });
+
+    headers.style.display = PlayerColumns.hasCustomLabels(this.playerColumns) ? '' : 'none';
+  }
 
-    const playerName = this.core.PlayersInfo[playerId];
+  getPlayerRowStats(playerId) {
     const currentBattleId = this.core.getCurrentBattleId();
-    const cleanName = Utils.formatPlayerName(playerName);
-    const displayName = Utils.truncateName(cleanName);
+    const currentPlayer = currentBattleId
+      ? this.core.BattleStats[currentBattleId]?.players?.[playerId]
+      : null;
+
+    const totalPlayerData = this.core.calculatePlayerData(playerId);
+    const teamPlayerPoints = this.core.calculateTeamData().playerPoints;
+
+    return {
+      battleDamage: currentPlayer?.damage || 0,
+      battleKills: currentPlayer?.kills || 0,
+      totalDamage: totalPlayerData.playerDamage,
+      totalKills: totalPlayerData.playerKills,
+      points: totalPlayerData.playerPoints,
+      avgDamage: totalPlayerData.playerBattles > 0 ? totalPlayerData.playerDamage / totalPlayerData.playerBattles : 0,
+      pointsShare: teamPlayerPoints > 0 ? totalPlayerData.playerPoints / teamPlayerPoints : 0,
+      vehicle: currentPlayer?.vehicle || totalPlayerData.lastVehicle
+    };
+  }
+
+  createPlayerRow(playerId) {
+    const playerRow = DomUtils.create('div', 'player-row');
+    playerRow.dataset.playerId = playerId;
+
+    const nameElement = DomUtils.create('div', 'player-name');
+    playerRow.appendChild(nameElement);
+
+    const values = [];
+    this.playerColumns.forEach(column => {
+      const columnElement = DomUtils.create('div', 'stat-column');
+      columnElement.title = PlayerColumns.getLabel(column);
+
+      column.metrics.forEach(metricId => {
+        const valueElement = DomUtils.create('div', PLAYER_METRICS[metricId].className);
+        columnElement.appendChild(valueElement);
+        values.push({ metricId, element: valueElement });
+      });
+
+      playerRow.appendChild(columnElement);
+    });
+
+    return { row: playerRow, nameElement, values, stats: null };
+  }
+
+  updatePlayerRow(entry, playerId) {
+    const cleanName = PlayerPreferences.getDisplayName(playerId, this.core.PlayersInfo[playerId]);
+    entry.nameElement.title = cleanName;
+    entry.nameElement.textContent = Utils.truncateName(cleanName);
 
-    let battleDamage = 0;
-    let battleKills = 0;
+    const stats = this.getPlayerRowStats(playerId);
+    const previous = entry.stats;
 
-    if (currentBattleId && this.core.BattleStats[currentBattleId] &&
-      this.core.BattleStats[currentBattleId].players &&
-      this.core.BattleStats[currentBattleId].players[playerId]) {
-      battleDamage = this.core.BattleStats[currentBattleId].players[playerId].damage || 0;
-      battleKills = this.core.BattleStats[currentBattleId].players[playerId].kills || 0;
+    entry.values.forEach(({ metricId, element }) => {
+      const metric = PLAYER_METRICS[metricId];
+      const format = (value) => metric.format({ ...stats, [metricId]: value });
+
+      if (metric.animated && previous) {
+        ValueAnimator.animate(element, stats[metricId], format);
+      } else if (metric.animated) {
+        ValueAnimator.show(element, stats[metricId], format);
+      } else {
+        element.textContent = metric.format(stats);
+      }
+    });
+
+    // Totals only grow within a session, so a drop (new session, cleared history) is not a gain.
+    if (previous && stats.totalDamage > previous.totalDamage) {
+      ValueAnimator.highlight(entry.row, 'gained-damage');
+    }
+    if (previous && stats.totalKills > previous.totalKills) {
+      ValueAnimator.highlight(entry.row, 'gained-frag');
     }
 
-    const totalPlayerData = this.core.calculatePlayerData(playerId);
-    const displayDamage = totalPlayerData.playerDamage;
-    const displayKills = totalPlayerData.playerKills;
-    const playerPoints = totalPlayerData.playerPoints;
-
-    playerRow.innerHTML = `
-      <div class="player-name" title="${cleanName}">${displayName}</div>
-      <div class="stat-column">
-        <div class="damage">+${battleDamage.toLocaleString()}</div>
-        <div class="damage-in-battle" style="font-size: 9px; color: #ff6a00;">${displayDamage.toLocaleString()}</div>
-      </div>
-      <div class="stat-column">
-        <div class="frags">+${battleKills}</div>
-        <div class="frags-in-battle" style="font-size: 9px; color: #00a8ff;">${displayKills}</div>
-      </div>
-      <div class="stat-column" style="display:none">
-        <div class="points">${playerPoints.toLocaleString()}</div>
-      </div>
-    `;
-
-    return playerRow;
+    entry.stats = stats;
   }
 
   updateTeamStatsUI() {
@@ -129,6 +239,148 @@ class UIService {
     this.updateElement('battles-count', `${teamStats.wins}/${teamStats.battles}`);
     this.updateElement('team-now-points', totalBattlePoints.battlePoints.toLocaleString());
     this.updateElement('team-points', teamStats.teamPoints.toLocaleString());
+    this.updateChallengeUI(totalBattlePoints.battlePoints);
+    this.updateGoalUI();
+    this.updateRecentResults();
+  }
+
+  updateRecentResults() {
+    const container = document.getElementById('recent-results');
+    if (!container) return;
+
+    const markers = {
+      1: { text: 'W', className: 'victory' },
+      0: { text: 'L', className: 'defeat' },
+      2: { text: 'D', className: 'draw' }
+    };
+
+    container.innerHTML = '';
+    // Oldest first, so the newest result sits next to the sparkline's last point.
+    this.core.getRecentBattles(CONFIG.RECENT_RESULTS_LIMIT).reverse().forEach(battle => {
+      const marker = markers[battle.win];
+      if (!marker) return;
+
+      const item = DomUtils.create('span', `recent-result ${marker.className}`, marker.text);
+      item.title = battle.points.toLocaleString();
+      container.appendChild(item);
+    });
+
+    this.drawSparkline();
+  }
+
+  drawSparkline() {
+    const canvas = document.getElementById('points-sparkline');
+    if (!canvas || !canvas.getContext) return;
+
+    const points = this.core.getRecentBattles(CONFIG.SPARKLINE_BATTLES)
+      .reverse()
+      .map(battle => battle.points);
+
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth || canvas.width;
+    const height = canvas.clientHeight || canvas.height;
+    if (canvas.width !== width * ratio || canvas.height !== height * ratio) {
+      canvas.width = width * ratio;
+      canvas.height = height * ratio;
+    }
+
+    const context = canvas.getContext('2d');
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    context.clearRect(0, 0, width, height);
+
+    canvas.style.visibility = points.length > 1 ? '' : 'hidden';
+    if (points.length < 2) return;
+
+    const padding = 2;
+    const min = Math.min(...points);
+    const range = Math.max(...points) - min || 1;
+    const stepX = (width - padding * 2) / (points.length - 1);
+    const toY = (value) => height - padding - ((value - min) / range) * (height - padding * 2);
+
+    const trendUp = points[points.length - 1] >= points[0];
+    const color = trendUp ? '#00ff00' : '#ff3333';
+
+    context.beginPath();
+    points.forEach((value, index) => {
+      const x = padding + index * stepX;
+      if (index === 0) {
+        context.moveTo(x, toY(value));
+      } else {
+        context.lineTo(x, toY(value));
+      }
+    });
+    context.strokeStyle = color;
+    context.lineWidth = 1.5;
+    context.stroke();
+
+    context.beginPath();
+    context.arc(width - padding, toY(points[points.length - 1]), 2, 0, Math.PI * 2);
+    context.fillStyle = color;
+    context.fill();
+  }
+
+  // ?hangarDelay=<ms>&battleDelay=<ms> override the defaults from CONFIG.
+  getDisplayDelays() {
+    const params = Utils.getQueryParams();
+    const readDelay = (param, fallback) => {
+      const value = parseInt(param, 10);
+      return value >= 0 ? value : fallback;
+    };
+
+    return {
+      hangar: readDelay(params.get('hangarDelay'), CONFIG.HANGAR_DELAY),
+      battle: readDelay(params.get('battleDelay'), CONFIG.BATTLE_DELAY)
+    };
+  }
+
+  updateDisplayMode() {
+    const targetMode = this.core.getCurrentBattleId() ? 'battle' : 'hangar';
+
+    if (this.displayMode === null) {
+      this.applyDisplayMode(targetMode);
+      return;
+    }
+
+    if (targetMode === this.displayMode) {
+      clearTimeout(this.displayModeTimer);
+      this.pendingDisplayMode = null;
+      return;
+    }
+
+    if (targetMode === this.pendingDisplayMode) return;
+
+    clearTimeout(this.displayModeTimer);
+    this.pendingDisplayMode = targetMode;
+    this.displayModeTimer = setTimeout(() => {
+      this.pendingDisplayMode = null;
+      this.applyDisplayMode(targetMode);
+    }, this.displayDelays[targetMode]);
+  }
+
+  applyDisplayMode(mode) {
+    this.displayMode = mode;
+
+    const container = document.querySelector('.layout-container');
+    if (!container) return;
+
+    container.classList.toggle('mode-battle', mode === 'battle');
+    container.classList.toggle('mode-hangar', mode === 'hangar');
+  }
+
+  updateChallengeUI(currentBattlePoints) {
+    const container = document.getElementById('challenge-stats');
+    if (!container) return;
+
+    const challenge = this.core.calculateChallengeData();
+    container.style.display = challenge ? '' : 'none';
+    if (!challenge) return;
+
+    this.updateElement('challenge-points', challenge.countedTotal.toLocaleString());
+    this.updateElement('challenge-raw-points', challenge.rawTotal.toLocaleString());
+    this.updateElement('challenge-threshold', challenge.threshold.toLocaleString());
+
+    const currentBattleCounts = Boolean(this.core.getCurrentBattleId()) && currentBattlePoints > challenge.threshold;
+    document.getElementById('team-now-points')?.classList.toggle('challenge-counted', currentBattleCounts);
   }
 
   resetTeamStatsUI() {
@@ -137,6 +389,49 @@ class UIService {
     this.updateElement('battles-count', '0/0');
     this.updateElement('team-now-points', '0');
     this.updateElement('team-points', '0');
+    this.updateChallengeUI(0);
+    this.updateGoalUI();
+    this.updateRecentResults();
+  }
+
+  updateGoalUI() {
+    const container = document.getElementById('goal-tracker');
+    if (!container) return;
+
+    const goal = this.core.calculateGoalData();
+    container.style.display = goal ? '' : 'none';
+    if (!goal) return;
+
+    const progressBar = document.getElementById('goal-progress-bar');
+    if (progressBar) {
+      progressBar.style.width = `${(goal.progress * 100).toFixed(1)}%`;
+    }
+    container.classList.toggle('goal-behind', !goal.onTrack);
+
+    this.updateElement('goal-remaining', goal.remaining > 0
+      ? `Залишилось: ${goal.remaining.toLocaleString()}`
+      : 'Ціль досягнуто');
+
+    let required = '';
+    if (goal.remaining > 0 && goal.requiredAverage !== null) {
+      required = `Треба: ${goal.requiredAverage.toLocaleString()}/бій (${goal.battlesLeft})`;
+    } else if (goal.remaining > 0 && goal.battlesLeft === 0) {
+      required = 'Бої закінчились';
+    }
+    this.updateElement('goal-required', required);
+
+    let projection = '';
+    if (goal.remaining > 0) {
+      if (goal.projectedTotal !== null) {
+        projection = `Прогноз: ${goal.projectedTotal.toLocaleString()}`;
+      } else if (goal.battlesToGoal !== null) {
+        projection = `Прогноз: ~${goal.battlesToGoal} боїв`;
+      }
+      if (goal.projectedFinish !== null && goal.deadline !== null) {
+        projection += ` до ${new Date(goal.projectedFinish).toLocaleString([], { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' })}`;
+      }
+    }
+    this.updateElement('goal-projection', projection);
   }
 
   updateElement(id, value) {
@@ -171,10 +466,145 @@ class UIService {
     }, 3000);
   }
 
+  // ?summaryDelay=<seconds>, 0 falls back to the short save notification.
+  getSummaryDuration() {
+    const seconds = parseFloat(Utils.getQueryParams().get('summaryDelay'));
+    return seconds >= 0 ? seconds * 1000 : CONFIG.BATTLE_SUMMARY_DURATION;
+  }
+
+  showBattleSummary(arenaId) {
+    if (this.summaryDuration === 0) {
+      this.showSaveNotification();
+      return;
+    }
+
+    const card = document.getElementById('battle-summary');
+    const summary = this.core.getBattleSummary(arenaId);
+    if (!card || !summary) return;
+
+    const results = {
+      1: { text: 'Перемога', className: 'victory' },
+      0: { text: 'Поразка', className: 'defeat' },
+      2: { text: 'Нічия', className: 'draw' }
+    };
+    const result = results[summary.win] || { text: 'Бій завершено', className: '' };
+
+    card.innerHTML = '';
+
+    const header = DomUtils.create('div', 'battle-summary-header');
+    header.append(
+      DomUtils.create('span', `battle-summary-result ${result.className}`, result.text),
+      DomUtils.create('span', 'battle-summary-map', summary.mapName || '')
+    );
+    card.appendChild(header);
+
+    const preferences = PlayerPreferences.load();
+    summary.players.forEach(player => {
+      if (PlayerPreferences.isHidden(player.id, preferences)) return;
+
+      const row = DomUtils.create('div', 'battle-summary-player');
+      row.append(
+        DomUtils.create('span', 'player-name', Utils.truncateName(PlayerPreferences.getDisplayName(player.id, player.name, preferences))),
+        DomUtils.create('span', 'damage', player.damage.toLocaleString()),
+        DomUtils.create('span', 'frags', String(player.kills)),
+        DomUtils.create('span', 'points', player.points.toLocaleString())
+      );
+      card.appendChild(row);
+    });
+
+    const footer = DomUtils.create('div', 'battle-summary-footer');
+    footer.append(
+      DomUtils.create('span', 'points-value', summary.points.toLocaleString()),
+      DomUtils.create('span', 'battle-summary-rank', `#${summary.rank} з ${summary.battlesCount}`)
+    );
+    if (summary.isNewBest) {
+      footer.appendChild(DomUtils.create('span', 'battle-summary-best', 'Новий рекорд!'));
+    }
+    card.appendChild(footer);
+
+    card.style.display = '';
+    card.classList.remove('battle-summary-hide');
+
+    clearTimeout(this.summaryTimer);
+    this.summaryTimer = setTimeout(() => this.hideBattleSummary(), this.summaryDuration);
+  }
+
+  hideBattleSummary() {
+    const card = document.getElementById('battle-summary');
+    if (!card) return;
+
+    card.classList.add('battle-summary-hide');
+    this.summaryTimer = setTimeout(() => {
+      card.style.display = 'none';
+      card.classList.remove('battle-summary-hide');
+    }, 300);
+  }
+
+  updateConnectionStatus(state) {
+    const statusDot = document.getElementById('connection-status');
+    if (!statusDot) return;
+
+    const statuses = {
+      connected: { className: 'status-connected', title: 'Підключено' },
+      polling: { className: 'status-polling', title: 'Оновлення через REST' },
+      reconnecting: { className: 'status-reconnecting', title: 'Перепідключення...' },
+      connecting: { className: 'status-reconnecting', title: 'Підключення...' },
+      offline: { className: 'status-offline', title: 'Немає з`єднання, дані можуть бути застарілими' }
+    };
+
+    const status = statuses[state] || statuses.offline;
+    statusDot.className = `connection-status ${status.className}`;
+    statusDot.title = status.title;
+  }
+
+  updateDiagnosticsPanel(diagnostics = this.core.getDiagnostics()) {
+    const panel = document.getElementById('diagnostics-panel');
+    if (!panel || panel.style.display === 'none') return;
+
+    const formatTime = (timestamp) => timestamp ? new Date(timestamp).toLocaleTimeString() : '—';
+
+    const rows = [
+      ['Стан', diagnostics.state],
+      ['Транспорт', diagnostics.transport || '—'],
+      ['Останнє statsUpdated', formatTime(diagnostics.lastStatsUpdate)],
+      ['Затримка getStats', diagnostics.latency !== null ? `${diagnostics.latency} мс` : '—'],
+      ['Боїв у кеші', String(diagnostics.battlesCached)],
+      ['Остання помилка', diagnostics.lastError
+        ? `${formatTime(diagnostics.lastError.time)} ${diagnostics.lastError.message}`
+        : '—']
+    ];
+
+    panel.innerHTML = '';
+    rows.forEach(([label, value]) => {
+      const row = DomUtils.create('div', 'diagnostics-row');
+      row.append(DomUtils.create('span', '', label), DomUtils.create('span', '', value));
+      panel.appendChild(row);
+    });
+  }
+
+  setupConnectionStatus() {
+    const statusDot = document.getElementById('connection-status');
+    const panel = document.getElementById('diagnostics-panel');
+    if (!statusDot || !panel) return;
+
+    this.boundHandlers.toggleDiagnostics = (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+
+      panel.style.display = panel.style.display === 'none' ? '' : 'none';
+      this.updateDiagnosticsPanel();
+    };
+
+    statusDot.addEventListener('click', this.boundHandlers.toggleDiagnostics);
+  }
+
   setupEventListeners() {
+    this.setupConnectionStatus();
     this.setupRefreshButton();
+    this.setupNewSessionButton();
     this.setupRemoveHistoryButton();
     this.setupViewHistoryButton();
+    this.setupLogoutButton();
   }
 
   setupRefreshButton() {
@@ -219,6 +649,24 @@ class UIService {
     newRefreshBtn.addEventListener('click', this.boundHandlers.refresh);
   }
 
+  setupNewSessionButton() {
+    const sessionBtn = document.getElementById('new-session-btn');
+    if (!sessionBtn) return;
+
+    this.boundHandlers.newSession = (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+
+      if (!confirm('Почати нову сесію? Історія боїв збережеться.')) {
+        return;
+      }
+
+      this.core.startNewSession();
+    };
+
+    sessionBtn.addEventListener('click', this.boundHandlers.newSession);
+  }
+
   setupRemoveHistoryButton() {
     const restoreBtn = document.getElementById('remove-history-btn');
     if (!restoreBtn) return;
@@ -256,7 +704,10 @@ class UIService {
         
         this.updatePlayersUI();
         
-        localStorage.clear();
+        await this.core.clearSavedState();
+        // Only the battle data goes; display, scoring and goal settings stay.
+        localStorage.removeItem(CACHE_KEYS.GAME_STATE);
+        localStorage.removeItem(CACHE_KEYS.SESSIONS);
         this.resetTeamStatsUI();
 
       } catch (error) {
@@ -279,8 +730,6 @@ class UIService {
     const newViewHistoryBtn = viewHistoryBtn.cloneNode(true);
     viewHistoryBtn.parentNode.replaceChild(newViewHistoryBtn, viewHistoryBtn);
 
-    const accessKey = this.core.getAccessKey();
-    
     this.boundHandlers.viewHistory = (event) => {
       event.preventDefault();
       event.stopPropagation();
@@ -291,7 +740,12 @@ class UIService {
       }
 
       this.isProcessing.viewHistory = true;
-      window.open('./battle-history/?' + accessKey, '_blank');
+      const serverParam = EndpointConfig.isCustomServer()
+        ? `?server=${encodeURIComponent(EndpointConfig.getBaseUrl())}`
+        : '';
+      // The key goes in the fragment, which the history page removes from the address bar.
+      const keyFragment = `#key=${encodeURIComponent(this.core.getAccessKey())}`;
+      window.open('./battle-history/' + serverParam + keyFragment, '_blank');
       
       setTimeout(() => {
         this.isProcessing.viewHistory = false;
@@ -301,6 +755,21 @@ class UIService {
     newViewHistoryBtn.addEventListener('click', this.boundHandlers.viewHistory);
   }
 
+  setupLogoutButton() {
+    const logoutBtn = document.getElementById('logout-btn');
+    if (!logoutBtn) return;
+
+    this.boundHandlers.logout = (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+
+      AuthService.logout();
+      window.location.reload();
+    };
+
+    logoutBtn.addEventListener('click', this.boundHandlers.logout);
+  }
+
   handleError(error) {
     const errorMessages = {
       'Empty history': 'Історія боїв порожня.',
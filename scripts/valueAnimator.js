@@ -0,0 +1,62 @@
+import { CONFIG } from '../battle-history/scripts/constants.js';
+
+const displayedValues = new WeakMap();
+const frames = new WeakMap();
+const highlightTimers = new WeakMap();
+
+// Count-up animations for numeric widget values. Each element remembers the value it
+// currently shows, so a new update continues from wherever the previous one stopped.
+export class ValueAnimator {
+  static prefersReducedMotion() {
+    return Boolean(window.matchMedia?.('(prefers-reduced-motion: reduce)').matches);
+  }
+
+  static cancel(element) {
+    cancelAnimationFrame(frames.get(element));
+    frames.delete(element);
+  }
+
+  static show(element, value, format) {
+    displayedValues.set(element, value);
+    element.textContent = format(value);
+  }
+
+  static animate(element, to, format, duration = CONFIG.COUNT_UP_DURATION) {
+    const from = displayedValues.get(element);
+    this.cancel(element);
+
+    // Only gains count up; resets (a new battle, a new session) are shown immediately.
+    if (from === undefined || to <= from || duration <= 0 || this.prefersReducedMotion()) {
+      this.show(element, to, format);
+      return;
+    }
+
+    const startedAt = performance.now();
+    const step = (now) => {
+      const progress = Math.min(1, (now - startedAt) / duration);
+      const eased = 1 - Math.pow(1 - progress, 3);
+
+      if (progress < 1) {
+        this.show(element, Math.round(from + (to - from) * eased), format);
+        frames.set(element, requestAnimationFrame(step));
+      } else {
+        this.show(element, to, format);
+        frames.delete(element);
+      }
+    };
+
+    frames.set(element, requestAnimationFrame(step));
+  }
+
+  // Restarts a CSS highlight class even if it is still applied from a previous gain.
+  static highlight(element, className, duration = CONFIG.GAIN_HIGHLIGHT_DURATION) {
+    element.classList.remove(className);
+    void element.offsetWidth;
+    element.classList.add(className);
+
+    const timers = highlightTimers.get(element) || {};
+    clearTimeout(timers[className]);
+    timers[className] = setTimeout(() => element.classList.remove(className), duration);
+    highlightTimers.set(element, timers);
+  }
+}
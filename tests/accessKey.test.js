@@ -0,0 +1,118 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync } from 'node:fs';
+import { installBrowserStubs, setUrl } from './support/browserStubs.js';
+
+installBrowserStubs();
+
+const { Utils } = await import('../battle-history/scripts/utils.js');
+const { URL_OPTIONS } = await import('../battle-history/scripts/constants.js');
+
+const SOURCE_DIRS = ['scripts', 'battle-history/scripts'];
+
+let replacedWith = null;
+
+beforeEach(() => {
+  replacedWith = null;
+  window.history = {
+    state: null,
+    replaceState: (state, title, url) => { replacedWith = url; }
+  };
+});
+
+test('the key is read from the fragment, named or bare', () => {
+  setUrl('https://widget.test/?layout=compact#key=abc%2B1');
+  assert.equal(Utils.getAccessKeyFromUrl(), 'abc+1');
+
+  setUrl('https://widget.test/?layout=compact#abc123');
+  assert.equal(Utils.getAccessKeyFromUrl(), 'abc123');
+});
+
+test('the fragment takes priority over the query', () => {
+  setUrl('https://widget.test/?key=fromQuery#key=fromFragment');
+  assert.equal(Utils.getAccessKeyFromUrl(), 'fromFragment');
+});
+
+test('the named query parameter keeps a literal +', () => {
+  setUrl('https://widget.test/?server=backup&key=abc+def');
+  assert.equal(Utils.getAccessKeyFromUrl(), 'abc+def');
+});
+
+test('a legacy bare key is taken raw, even with = or +', () => {
+  setUrl('https://widget.test/?AB=C+D');
+  assert.equal(Utils.getAccessKeyFromUrl(), 'AB=C+D');
+
+  setUrl('https://widget.test/?secret==');
+  assert.equal(Utils.getAccessKeyFromUrl(), 'secret==');
+
+  setUrl('https://widget.test/?secret&server=backup');
+  assert.equal(Utils.getAccessKeyFromUrl(), 'secret');
+});
+
+test('a name=value segment followed by others is an option, not a key', () => {
+  setUrl('https://widget.test/?battleDelay=100&layout=ticker');
+  assert.equal(Utils.getAccessKeyFromUrl(), '');
+
+  setUrl('https://widget.test/?unknownOption=1&layout=ticker');
+  assert.equal(Utils.getAccessKeyFromUrl(), '');
+});
+
+test('every query option read in the code is a known option name', () => {
+  const read = new Set();
+  SOURCE_DIRS.forEach(dir => {
+    readdirSync(dir).filter(file => file.endsWith('.js')).forEach(file => {
+      const source = readFileSync(`${dir}/${file}`, 'utf8');
+      for (const [, name] of source.matchAll(/(?:params|getQueryParams\(\))\.get\('(\w+)'\)/g)) {
+        read.add(name);
+      }
+    });
+  });
+
+  assert.ok(read.has('hangarDelay'));
+  assert.deepEqual([...read].filter(name => !URL_OPTIONS.includes(name)), []);
+});
+
+test('a bare flag after the first segment is not a key', () => {
+  setUrl('https://widget.test/?layout=compact&showAll');
+  assert.equal(Utils.getAccessKeyFromUrl(), '');
+});
+
+test('a known option name in the first segment is not a key', () => {
+  setUrl('https://widget.test/?challenge&layout=compact');
+  assert.equal(Utils.getAccessKeyFromUrl(), '');
+
+  setUrl('https://widget.test/?layout&theme=wotstat');
+  assert.equal(Utils.getAccessKeyFromUrl(), '');
+});
+
+test('scrubbing removes only the key segment and leaves other flags untouched', () => {
+  setUrl('https://widget.test/?KEY+1&compact&layout=ticker');
+  Utils.removeAccessKeyFromUrl();
+  assert.equal(replacedWith, 'https://widget.test/?compact&layout=ticker');
+
+  setUrl('https://widget.test/?layout=ticker&compact#key=abc');
+  Utils.removeAccessKeyFromUrl();
+  assert.equal(replacedWith, 'https://widget.test/?layout=ticker&compact');
+
+  setUrl('https://widget.test/?layout=ticker#abc&theme=wotstat');
+  Utils.removeAccessKeyFromUrl();
+  assert.equal(replacedWith, 'https://widget.test/?layout=ticker#theme=wotstat');
+});
+
+test('only the part the key was read from is scrubbed', () => {
+  setUrl('https://widget.test/?hangarDelay=0&battleDelay=0#key=K');
+  assert.equal(Utils.getAccessKeyFromUrl(), 'K');
+
+  Utils.removeAccessKeyFromUrl();
+  assert.equal(replacedWith, 'https://widget.test/?hangarDelay=0&battleDelay=0');
+
+  setUrl('https://widget.test/?stale#fresh');
+  Utils.removeAccessKeyFromUrl();
+  assert.equal(replacedWith, 'https://widget.test/?stale');
+});
+
+test('the address bar is left alone when it holds no key', () => {
+  setUrl('https://widget.test/?layout=compact&showAll');
+  Utils.removeAccessKeyFromUrl();
+  assert.equal(replacedWith, null);
+});
@@ -0,0 +1,45 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installBrowserStubs } from './support/browserStubs.js';
+
+installBrowserStubs();
+
+const { ChallengeMode, CHALLENGE_RULES } = await import('../battle-history/scripts/challengeMode.js');
+const { ScoringEngine } = await import('../battle-history/scripts/scoringEngine.js');
+const { default: BattleDataManager } = await import('../battle-history/scripts/battleDataManager.js');
+
+const battle = (startTime, damage) => ({
+  startTime,
+  win: 0,
+  players: { '7': { name: 'Tanker', damage, kills: 0, points: damage } }
+});
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('best of last window counts only the newest battles', () => {
+  const challenge = new ChallengeMode({ rule: CHALLENGE_RULES.BEST_OF_LAST, bestCount: 1, windowSize: 2 });
+  const result = challenge.evaluate([
+    { id: 'a', startTime: 100, points: 9000 },
+    { id: 'b', startTime: 200, points: 1000 },
+    { id: 'c', startTime: 300, points: 2000 }
+  ]);
+
+  assert.deepEqual(result.countedIds, ['c']);
+  assert.equal(result.rawTotal, 12000);
+});
+
+test('locally created battles with millisecond start times sort by real time', () => {
+  const manager = Object.assign(Object.create(BattleDataManager.prototype), {
+    scoring: ScoringEngine.fromPreset('standard'),
+    challenge: new ChallengeMode({ rule: CHALLENGE_RULES.BEST_OF_LAST, bestCount: 1, windowSize: 1 }),
+    BattleStats: {
+      // Created from a delta before the server sent startTime: Date.now() in milliseconds.
+      local: battle(1700000100000, 9000),
+      server: battle(1700000200, 1000)
+    }
+  });
+
+  assert.deepEqual([...manager.getChallengeCountedIds()], ['server']);
+});
@@ -0,0 +1,55 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installBrowserStubs } from './support/browserStubs.js';
+
+installBrowserStubs();
+
+const { BattleNormalizer, MERGE_POLICIES } = await import('../battle-history/scripts/battleNormalizer.js');
+const { default: BattleDataManager } = await import('../battle-history/scripts/battleDataManager.js');
+
+const battle = (damage, sessionId) => ({
+  startTime: 1700000000,
+  duration: 300,
+  win: 1,
+  mapName: 'Himmelsdorf',
+  players: { '7': { name: 'Tanker', damage, kills: 0, points: damage, vehicle: 'T-34' } },
+  ...(sessionId ? { sessionId } : {})
+});
+
+const local = () => ({
+  BattleStats: { kept: battle(3000, 'session-0'), removedOnServer: battle(1000, 'session-0') },
+  PlayersInfo: { '7': 'Tanker' }
+});
+
+const server = { BattleStats: { kept: battle(2000) }, PlayerInfo: { '7': 'Tanker' } };
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('replace drops battles the server no longer has and takes corrected counters', () => {
+  const { BattleStats } = BattleNormalizer.mergeServerData(local(), server, MERGE_POLICIES.REPLACE);
+
+  assert.deepEqual(Object.keys(BattleStats), ['kept']);
+  assert.equal(BattleStats.kept.players['7'].damage, 2000);
+  assert.equal(BattleStats.kept.sessionId, 'session-0');
+});
+
+test('keep-local keeps local-only battles and the larger counters', () => {
+  const { BattleStats } = BattleNormalizer.mergeServerData(local(), server, MERGE_POLICIES.KEEP_LOCAL);
+
+  assert.deepEqual(Object.keys(BattleStats).sort(), ['kept', 'removedOnServer']);
+  assert.equal(BattleStats.kept.players['7'].damage, 3000);
+});
+
+test('the history page shows the server data as it is', () => {
+  const manager = Object.assign(Object.create(BattleDataManager.prototype), local(), {
+    eventsHistory: { emit: () => {} }
+  });
+
+  manager.applyServerSnapshot(server, 4);
+
+  assert.deepEqual(Object.keys(manager.BattleStats), ['kept']);
+  assert.equal(manager.BattleStats.kept.players['7'].damage, 2000);
+  assert.equal(manager.revision, 4);
+});
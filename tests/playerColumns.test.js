@@ -0,0 +1,60 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installBrowserStubs, setUrl } from './support/browserStubs.js';
+
+installBrowserStubs();
+
+const { PlayerColumns, DEFAULT_COLUMNS } = await import('../scripts/playerColumns.js');
+const { default: UIService } = await import('../scripts/uiService.js');
+const { default: CoreService } = await import('../scripts/coreService.js');
+const { ScoringEngine } = await import('../battle-history/scripts/scoringEngine.js');
+
+const ACCESS_KEY = 'secret-access-key';
+const storedKeys = () => [...localStorage.items.keys()];
+
+beforeEach(() => {
+  localStorage.clear();
+  setUrl('https://widget.test/');
+});
+
+test('parse stacks metrics with + and renames with :label', () => {
+  assert.deepEqual(PlayerColumns.parse('battleDamage totalDamage,points:Очки,unknown'), [
+    { metrics: ['battleDamage', 'totalDamage'], label: null },
+    { metrics: ['points'], label: 'Очки' }
+  ]);
+  assert.equal(PlayerColumns.parse('unknown'), null);
+});
+
+test('columns from the URL are stored without the access key in the storage key', () => {
+  setUrl('https://widget.test/?columns=points,vehicle');
+
+  const columns = PlayerColumns.getConfig(ACCESS_KEY);
+
+  assert.equal(columns.length, 2);
+  assert.equal(storedKeys().length, 1);
+  assert.ok(!storedKeys()[0].includes(ACCESS_KEY));
+
+  setUrl('https://widget.test/');
+  assert.deepEqual(PlayerColumns.getConfig(ACCESS_KEY), columns);
+  assert.deepEqual(PlayerColumns.getConfig('another-key'), DEFAULT_COLUMNS);
+});
+
+test('points shares of all players add up to 100% despite the win bonus', () => {
+  const player = (damage) => ({ name: 'P', damage, kills: 0, points: damage, vehicle: 'T-34' });
+  const core = Object.assign(Object.create(CoreService.prototype), {
+    BattleStats: {
+      '1': { win: 1, players: { a: player(3000), b: player(1000) } },
+      '2': { win: 0, players: { a: player(500), c: player(1500) } }
+    },
+    scoring: ScoringEngine.fromPreset('standard'),
+    calculationCache: new Map(),
+    getSessionBattleIds: () => ['1', '2'],
+    getCurrentBattleId: () => null
+  });
+  const ui = Object.assign(Object.create(UIService.prototype), { core });
+
+  const shares = ['a', 'b', 'c'].map(playerId => ui.getPlayerRowStats(playerId).pointsShare);
+
+  assert.equal(shares.reduce((total, share) => total + share, 0), 1);
+  assert.equal(shares[0], 3500 / 6000);
+});
@@ -0,0 +1,52 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installBrowserStubs } from './support/browserStubs.js';
+import { installDom } from './support/domStub.js';
+
+installBrowserStubs();
+
+const { createHistoryHandler } = await import('./support/historyHandler.js');
+
+const battles = [{
+  id: '101',
+  win: 1,
+  players: {
+    '7': { name: 'Tanker', damage: 2500, kills: 2, points: 2900, vehicle: 'T-34' },
+    '8': { name: 'Gunner', damage: 1200, kills: 1, points: 1400, vehicle: 'IS-2' }
+  }
+}];
+
+let tableBody;
+beforeEach(() => {
+  localStorage.clear();
+  tableBody = installDom().register('players-table-body', 'tbody');
+  document.activeElement = document.body;
+});
+
+test('live updates leave the table alone while an alias input has focus', () => {
+  const handler = createHistoryHandler(battles);
+  handler.updatePlayersTable();
+  const rows = [...tableBody.children];
+
+  const aliasInput = rows[0].children.find(cell => cell.className === 'player-controls').children[0];
+  aliasInput.value = 'half-typed';
+  document.activeElement = aliasInput;
+
+  handler.updatePlayersTable();
+
+  assert.deepEqual(tableBody.children, rows);
+  assert.equal(aliasInput.value, 'half-typed');
+  assert.equal(handler.playersTableStale, true);
+});
+
+test('preference changes still rebuild the focused table', () => {
+  const handler = createHistoryHandler(battles);
+  handler.updatePlayersTable();
+  const rows = [...tableBody.children];
+  document.activeElement = rows[0];
+
+  handler.updatePlayersTable({ force: true });
+
+  assert.notEqual(tableBody.children[0], rows[0]);
+  assert.equal(handler.playersTableStale, false);
+});
@@ -0,0 +1,181 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installBrowserStubs } from './support/browserStubs.js';
+import { installDom, serialize } from './support/domStub.js';
+
+installBrowserStubs();
+
+const { DomUtils } = await import('../battle-history/scripts/domUtils.js');
+const { createHistoryHandler } = await import('./support/historyHandler.js');
+const { default: UIService } = await import('../scripts/uiService.js');
+
+const IMG_NAME = '<img src=x onerror=alert(1)>';
+const QUOTE_NAME = '"\'&';
+const HOSTILE_NAMES = [IMG_NAME, QUOTE_NAME];
+
+const hostileBattle = () => ({
+  id: '101',
+  startTime: 1700000000,
+  duration: 420,
+  win: 1,
+  mapName: IMG_NAME,
+  players: {
+    '7': { name: IMG_NAME, damage: 2500, kills: 2, points: 2900, vehicle: IMG_NAME },
+    '8': { name: QUOTE_NAME, damage: 1200, kills: 1, points: 1400, vehicle: QUOTE_NAME }
+  }
+});
+
+// No hostile name may reach the markup as live tags or entities.
+// Only the start of the name is checked, since the widget truncates long names.
+function assertEscaped(markup) {
+  assert.ok(!markup.includes('<img'), `raw tag in: ${markup}`);
+  assert.ok(!/&(?!amp;|lt;|gt;|quot;|#39;)/.test(markup), `unescaped ampersand in: ${markup}`);
+  assert.ok(markup.includes('&lt;img src=x'), `escaped name missing in: ${markup}`);
+}
+
+function createHostileHandler(battle) {
+  return createHistoryHandler([battle], {
+    calculateBattleData: () => ({ battlePoints: 4300, battleDamage: 3700, battleKills: 3 }),
+    calculateSessionSummaries: () => [
+      { label: IMG_NAME, battles: 1, wins: 1, damage: 3700, kills: 3, points: 4300 },
+      { label: QUOTE_NAME, battles: 1, wins: 0, damage: 0, kills: 0, points: 0 }
+    ]
+  });
+}
+
+let dom;
+beforeEach(() => {
+  localStorage.clear();
+  dom = installDom();
+});
+
+test('DomUtils.html escapes text and attribute positions', () => {
+  HOSTILE_NAMES.forEach(name => {
+    const markup = String(DomUtils.html`<td class="${name}" title="${name}">${name}</td>`);
+    assert.ok(!markup.includes(name));
+  });
+  assert.equal(
+    String(DomUtils.html`<td title="${QUOTE_NAME}">${IMG_NAME}</td>`),
+    '<td title="&quot;&#39;&amp;">&lt;img src=x onerror=alert(1)&gt;</td>'
+  );
+});
+
+test('DomUtils.html keeps nested templates and escapes arrays item by item', () => {
+  const markup = String(DomUtils.html`<div>${DomUtils.html`<b>${IMG_NAME}</b>`}${HOSTILE_NAMES}</div>`);
+  assert.equal(markup, '<div><b>&lt;img src=x onerror=alert(1)&gt;</b>&lt;img src=x onerror=alert(1)&gt;&quot;&#39;&amp;</div>');
+});
+
+test('DomUtils.join escapes items but keeps the separator markup', () => {
+  assert.equal(
+    String(DomUtils.join(HOSTILE_NAMES)),
+    '&lt;img src=x onerror=alert(1)&gt;<br>&quot;&#39;&amp;'
+  );
+});
+
+test('DomUtils.setHtml writes templates and rejects plain strings', () => {
+  const element = document.createElement('div');
+
+  DomUtils.setHtml(element, DomUtils.html`<span>${IMG_NAME}</span>`);
+  assertEscaped(element.innerHTML);
+
+  assert.throws(() => DomUtils.setHtml(element, `<span>${IMG_NAME}</span>`), TypeError);
+  assert.throws(() => DomUtils.setHtml(element, new String('<b>')), TypeError);
+});
+
+test('DomUtils.create sets text, never markup', () => {
+  const element = DomUtils.create('span', 'player-name', IMG_NAME);
+  assert.equal(element.textContent, IMG_NAME);
+  assertEscaped(serialize(element));
+});
+
+test('createBattleRow escapes map, player and vehicle names', () => {
+  const handler = createHostileHandler(hostileBattle());
+  assertEscaped(serialize(handler.createBattleRow(hostileBattle())));
+});
+
+test('updateModalPlayersTable escapes player and vehicle names', () => {
+  const tableBody = dom.register('modal-players-table-body', 'tbody');
+  createHostileHandler(hostileBattle()).updateModalPlayersTable(hostileBattle());
+
+  assert.equal(tableBody.children.length, 2);
+  assertEscaped(serialize(tableBody));
+});
+
+test('updatePlayersTable escapes player names in cells and alias controls', () => {
+  const tableBody = dom.register('players-table-body', 'tbody');
+  createHostileHandler(hostileBattle()).updatePlayersTable();
+
+  assert.equal(tableBody.children.length, 2);
+  assertEscaped(serialize(tableBody));
+});
+
+test('updatePlayersTable escapes a hostile alias', () => {
+  localStorage.setItem('playerPreferences', JSON.stringify({ aliases: { '8': IMG_NAME } }));
+  const tableBody = dom.register('players-table-body', 'tbody');
+  const battle = hostileBattle();
+  battle.players['7'].name = 'Safe';
+  createHostileHandler(battle).updatePlayersTable();
+
+  assertEscaped(serialize(tableBody));
+});
+
+test('updateVehiclesTable escapes vehicle names', () => {
+  const tableBody = dom.register('vehicles-table-body', 'tbody');
+  createHostileHandler(hostileBattle()).updateVehiclesTable();
+
+  assert.equal(tableBody.children.length, 2);
+  assertEscaped(serialize(tableBody));
+});
+
+test('updateSessionSummaries escapes session labels', () => {
+  const tableBody = dom.register('session-table-body', 'tbody');
+  createHostileHandler(hostileBattle()).updateSessionSummaries();
+
+  assert.equal(tableBody.children.length, 2);
+  assertEscaped(serialize(tableBody));
+});
+
+test('showBattleSummary escapes map and player names', () => {
+  const card = dom.register('battle-summary');
+  const ui = Object.assign(Object.create(UIService.prototype), {
+    summaryDuration: 1000,
+    core: {
+      getBattleSummary: () => ({
+        arenaId: '101',
+        win: 1,
+        mapName: IMG_NAME,
+        points: 4300,
+        players: [
+          { id: '7', name: IMG_NAME, damage: 2500, kills: 2, points: 2900 },
+          { id: '8', name: QUOTE_NAME, damage: 1200, kills: 1, points: 1400 }
+        ],
+        rank: 1,
+        battlesCount: 1,
+        isNewBest: true
+      })
+    }
+  });
+
+  ui.showBattleSummary('101');
+  clearTimeout(ui.summaryTimer);
+
+  assertEscaped(serialize(card));
+});
+
+test('widget player rows escape player and vehicle names', () => {
+  const ui = Object.assign(Object.create(UIService.prototype), {
+    playerColumns: [{ metrics: ['battleDamage'], label: null }, { metrics: ['vehicle'], label: null }],
+    core: {
+      PlayersInfo: { '7': IMG_NAME },
+      BattleStats: { '101': hostileBattle() },
+      getCurrentBattleId: () => '101',
+      calculatePlayerData: () => ({ playerPoints: 2900, playerDamage: 2500, playerKills: 2, playerBattles: 1, lastVehicle: IMG_NAME }),
+      calculateTeamData: () => ({ teamPoints: 4300, playerPoints: 2900 })
+    }
+  });
+
+  const entry = ui.createPlayerRow('7');
+  ui.updatePlayerRow(entry, '7');
+
+  assertEscaped(serialize(entry.row));
+});
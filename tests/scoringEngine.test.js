@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installBrowserStubs } from './support/browserStubs.js';
+
+installBrowserStubs();
+
+const { ScoringEngine, SCORING_PRESETS } = await import('../battle-history/scripts/scoringEngine.js');
+const { BattleNormalizer } = await import('../battle-history/scripts/battleNormalizer.js');
+const { GAME_POINTS } = await import('../battle-history/scripts/constants.js');
+
+const battle = {
+  win: 1,
+  players: {
+    '7': { damage: 2500, kills: 2, points: 4321 },
+    '8': { damage: 1200, kills: 1 }
+  }
+};
+
+test('standard preset keeps the points sent by the server', () => {
+  const scoring = ScoringEngine.fromPreset('standard');
+
+  assert.equal(scoring.scorePlayer(battle.players['7']), 4321);
+  assert.equal(
+    scoring.scorePlayer(battle.players['8']),
+    BattleNormalizer.calculateDefaultPoints(1200, 1)
+  );
+});
+
+test('standard battle points match stored points plus the win bonus', () => {
+  const { battlePoints } = ScoringEngine.fromPreset('standard').scoreBattle(battle);
+  const expected = 4321 + BattleNormalizer.calculateDefaultPoints(1200, 1) + GAME_POINTS.POINTS_PER_TEAM_WIN;
+
+  assert.equal(battlePoints, expected);
+});
+
+test('other presets re-score from damage and frags', () => {
+  Object.keys(SCORING_PRESETS).filter(name => name !== 'standard').forEach(name => {
+    const scoring = ScoringEngine.fromPreset(name);
+    const withoutPoints = { damage: 2500, kills: 2 };
+
+    assert.equal(scoring.scorePlayer(battle.players['7']), scoring.scorePlayer(withoutPoints), name);
+  });
+});
+
+test('custom rulesets do not inherit stored-points behaviour', () => {
+  const scoring = new ScoringEngine({ damageWeight: 1, fragPoints: 0 });
+  assert.equal(scoring.scorePlayer(battle.players['7']), 2500);
+});
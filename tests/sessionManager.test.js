@@ -0,0 +1,63 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installBrowserStubs } from './support/browserStubs.js';
+
+installBrowserStubs();
+
+const { SessionManager } = await import('../battle-history/scripts/sessionManager.js');
+const { BattleNormalizer, MERGE_POLICIES } = await import('../battle-history/scripts/battleNormalizer.js');
+const { CACHE_KEYS, CONFIG } = await import('../battle-history/scripts/constants.js');
+
+const SESSIONS = [
+  { id: 'session-0', startTime: 0 },
+  { id: 'session-1000', startTime: 1000 }
+];
+
+beforeEach(() => {
+  localStorage.clear();
+  localStorage.setItem(CACHE_KEYS.SESSIONS, JSON.stringify(SESSIONS));
+});
+
+test('battles are assigned by start time when they carry no session id', () => {
+  assert.equal(SessionManager.getSessionId({ startTime: 500 }, SESSIONS), 'session-0');
+  assert.equal(SessionManager.getSessionId({ startTime: 1500 }, SESSIONS), 'session-1000');
+  assert.equal(SessionManager.getSessionId({ startTime: 1500 * 1000 }, SESSIONS), 'session-1000');
+});
+
+test('a battle that started within the clock skew before a marker belongs to the newer session', () => {
+  const skew = CONFIG.SESSION_CLOCK_SKEW / 1000;
+
+  assert.equal(SessionManager.getSessionId({ startTime: 1000 - skew }, SESSIONS), 'session-1000');
+  assert.equal(SessionManager.getSessionId({ startTime: 1000 - skew - 1 }, SESSIONS), 'session-0');
+});
+
+test('a stored session id wins over the start time', () => {
+  assert.equal(SessionManager.getSessionId({ startTime: 500, sessionId: 'session-1000' }, SESSIONS), 'session-1000');
+  assert.ok(SessionManager.isInSession({ startTime: 5000, sessionId: 'session-0' }, 'session-0', SESSIONS));
+});
+
+test('an id of a session this browser does not know falls back to the start time', () => {
+  assert.equal(SessionManager.getSessionId({ startTime: 1500, sessionId: 'session-42' }, SESSIONS), 'session-1000');
+});
+
+test('a battle is stamped when it is first seen and keeps the id through later merges', () => {
+  const local = BattleNormalizer.mergeBattleStats({}, { 1: { startTime: 1500 * 1000, players: {} } }, {}, MERGE_POLICIES.KEEP_LOCAL);
+  assert.equal(local[1].sessionId, 'session-1000');
+
+  // The server later reports the real start time, which falls before the marker.
+  const merged = BattleNormalizer.mergeBattleStats(local, { 1: { startTime: 900, win: 1, players: {} } }, {}, MERGE_POLICIES.KEEP_LOCAL);
+  assert.equal(merged[1].startTime, 900);
+  assert.equal(merged[1].sessionId, 'session-1000');
+});
+
+test('cached battles without an id are stamped by start time on the next merge', () => {
+  const merged = BattleNormalizer.mergeBattleStats({ 1: { startTime: 500, players: {} } }, { 1: { startTime: 500, players: {} } }, {}, MERGE_POLICIES.KEEP_LOCAL);
+  assert.equal(merged[1].sessionId, 'session-0');
+});
+
+test('battles created from a delta are stamped too', () => {
+  const state = { BattleStats: {}, PlayersInfo: {} };
+  BattleNormalizer.applyDelta(state, { BattleStats: { 1: { startTime: 2000, players: {} } } });
+
+  assert.equal(state.BattleStats[1].sessionId, 'session-1000');
+});
@@ -0,0 +1,110 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installBrowserStubs } from './support/browserStubs.js';
+
+installBrowserStubs();
+
+const { StateMigrator, STATE_SCHEMA_VERSION } = await import('../battle-history/scripts/stateMigrations.js');
+const { StateManager } = await import('../battle-history/scripts/stateManager.js');
+const { MemoryAdapter, LocalStorageAdapter } = await import('../battle-history/scripts/storageAdapters.js');
+const { CACHE_KEYS } = await import('../battle-history/scripts/constants.js');
+
+const v0Blob = () => ({
+  BattleStats: {
+    '101': {
+      _id: {
+        startTime: 1700000000,
+        duration: 420,
+        win: 1,
+        mapName: 'Прохоровка',
+        players: {
+          '7': { _id: { name: 'Tanker', damage: 2500, kills: 2, points: 2900, vehicle: 'T-34' } }
+        }
+      }
+    }
+  },
+  PlayersInfo: { '7': { _id: 'Tanker [CLAN]' } },
+  curentArenaId: '101'
+});
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('v0 blob with _id wrappers is unwrapped and versioned', () => {
+  const migrated = StateMigrator.migrate(v0Blob());
+
+  assert.equal(migrated.schemaVersion, STATE_SCHEMA_VERSION);
+  assert.equal(migrated.BattleStats['101'].mapName, 'Прохоровка');
+  assert.deepEqual(migrated.BattleStats['101'].players['7'], {
+    name: 'Tanker', damage: 2500, kills: 2, points: 2900, vehicle: 'T-34'
+  });
+  assert.equal(migrated.PlayersInfo['7'], 'Tanker [CLAN]');
+  assert.equal(migrated.curentArenaId, '101');
+  assert.equal(migrated.revision, null);
+});
+
+test('blob without curentArenaId migrates with a null current arena', () => {
+  const blob = v0Blob();
+  delete blob.curentArenaId;
+
+  const migrated = StateMigrator.migrate(blob);
+
+  assert.equal(migrated.curentArenaId, null);
+  assert.ok(migrated.BattleStats['101']);
+});
+
+test('current-version blob is returned unchanged', () => {
+  const current = StateMigrator.migrate(v0Blob());
+  assert.equal(StateMigrator.migrate(current), current);
+});
+
+test('blob newer than the supported schema is rejected', () => {
+  assert.throws(
+    () => StateMigrator.migrate({ ...v0Blob(), schemaVersion: STATE_SCHEMA_VERSION + 1 }),
+    /newer than supported/
+  );
+});
+
+test('non-object and array blobs are rejected', () => {
+  [null, 'state', 42, [], [v0Blob()]].forEach(blob => {
+    assert.throws(() => StateMigrator.migrate(blob), /not an object/);
+  });
+});
+
+test('current-version blob missing BattleStats or PlayersInfo is rejected', () => {
+  assert.throws(
+    () => StateMigrator.migrate({ schemaVersion: STATE_SCHEMA_VERSION, PlayersInfo: {} }),
+    /missing BattleStats or PlayersInfo/
+  );
+  assert.throws(
+    () => StateMigrator.migrate({ schemaVersion: STATE_SCHEMA_VERSION, BattleStats: {} }),
+    /missing BattleStats or PlayersInfo/
+  );
+});
+
+test('loadState migrates a v0 blob and writes the upgraded state back', async () => {
+  const adapter = new MemoryAdapter(v0Blob());
+  StateManager.setAdapter(adapter);
+
+  const state = await StateManager.loadState();
+
+  assert.equal(state.schemaVersion, STATE_SCHEMA_VERSION);
+  assert.equal((await adapter.load()).schemaVersion, STATE_SCHEMA_VERSION);
+});
+
+test('loadState resets an unsupported blob held by MemoryAdapter', async () => {
+  const adapter = new MemoryAdapter({ ...v0Blob(), schemaVersion: STATE_SCHEMA_VERSION + 1 });
+  StateManager.setAdapter(adapter);
+
+  assert.equal(await StateManager.loadState(), null);
+  assert.equal(await adapter.load(), null);
+});
+
+test('loadState clears a corrupt localStorage string', async () => {
+  localStorage.setItem(CACHE_KEYS.GAME_STATE, '{"BattleStats": {');
+  StateManager.setAdapter(new LocalStorageAdapter());
+
+  assert.equal(await StateManager.loadState(), null);
+  assert.equal(localStorage.getItem(CACHE_KEYS.GAME_STATE), null);
+});
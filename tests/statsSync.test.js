@@ -0,0 +1,106 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installBrowserStubs } from './support/browserStubs.js';
+import { installSocketIo } from './support/socketStub.js';
+
+installBrowserStubs();
+const sockets = installSocketIo();
+
+const { default: StatsSync } = await import('../battle-history/scripts/statsSync.js');
+
+let owner;
+let socket;
+
+beforeEach(() => {
+  owner = { revision: null, snapshots: [], deltas: [] };
+  const sync = new StatsSync({
+    getAccessKey: () => 'K',
+    getRevision: () => owner.revision,
+    onSnapshot: (response) => {
+      owner.snapshots.push(response);
+      owner.revision = response.revision;
+    },
+    onDelta: (response) => {
+      owner.deltas.push(response);
+      owner.revision = response.revision;
+    }
+  });
+  sync.connect();
+  socket = sockets[sockets.length - 1];
+});
+
+test('a connect asks for a full snapshot', () => {
+  socket.trigger('connect');
+  socket.take('getStats').reply({ status: 200, revision: 3 });
+
+  assert.equal(owner.snapshots.length, 1);
+  assert.equal(owner.revision, 3);
+});
+
+test('a notification for the revision already held is ignored', () => {
+  owner.revision = 3;
+  socket.trigger('statsUpdated', { key: 'K', revision: 3 });
+  socket.trigger('statsUpdated', { key: 'other', revision: 4 });
+
+  assert.deepEqual(socket.requests, []);
+});
+
+test('a notification asks for the delta since the held revision', () => {
+  owner.revision = 3;
+  socket.trigger('statsUpdated', { key: 'K', revision: 4 });
+
+  const request = socket.take('getStatsDelta');
+  assert.equal(request.payload.since, 3);
+
+  request.reply({ status: 200, baseRevision: 3, revision: 4, BattleStats: {} });
+  assert.equal(owner.deltas.length, 1);
+  assert.equal(owner.revision, 4);
+});
+
+test('a delta for another base revision falls back to a full snapshot', () => {
+  owner.revision = 3;
+  socket.trigger('statsUpdated', { key: 'K', revision: 5 });
+  socket.take('getStatsDelta').reply({ status: 200, baseRevision: 2, revision: 5 });
+
+  assert.equal(owner.deltas.length, 0);
+  assert.ok(socket.take('getStats'));
+});
+
+test('notifications during a request are folded into one follow-up request', () => {
+  owner.revision = 3;
+  socket.trigger('statsUpdated', { key: 'K', revision: 4 });
+  socket.trigger('statsUpdated', { key: 'K', revision: 5 });
+  socket.trigger('statsUpdated', { key: 'K', revision: 6 });
+
+  assert.equal(socket.requests.length, 1);
+  socket.take('getStatsDelta').reply({ status: 200, baseRevision: 3, revision: 4 });
+
+  const followUp = socket.take('getStatsDelta');
+  assert.equal(followUp.payload.since, 4);
+  assert.deepEqual(socket.requests, []);
+
+  followUp.reply({ status: 200, baseRevision: 4, revision: 6 });
+  assert.equal(owner.revision, 6);
+  assert.equal(owner.snapshots.length, 0);
+});
+
+test('after a getStatsDelta timeout, updates go straight to getStats', () => {
+  owner.revision = 3;
+  socket.trigger('statsUpdated', { key: 'K', revision: 4 });
+  socket.take('getStatsDelta').fail();
+  socket.take('getStats').reply({ status: 200, revision: 4 });
+
+  socket.trigger('statsUpdated', { key: 'K', revision: 5 });
+  assert.equal(socket.take('getStatsDelta'), null);
+  assert.ok(socket.take('getStats'));
+});
+
+test('a disconnect releases a request that will never be answered', () => {
+  owner.revision = 3;
+  socket.trigger('statsUpdated', { key: 'K', revision: 4 });
+  socket.trigger('disconnect');
+  socket.requests = [];
+
+  socket.trigger('statsUpdated', { key: 'K', revision: 5 });
+  assert.ok(socket.take('getStatsDelta'));
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installBrowserStubs } from './support/browserStubs.js';
+import { installIndexedDb } from './support/indexedDbStub.js';
+
+installBrowserStubs();
+installIndexedDb();
+
+const { IndexedDBAdapter } = await import('../battle-history/scripts/storageAdapters.js');
+
+const battle = (damage) => ({ startTime: 1700000000, win: 1, players: { '7': { damage } } });
+const state = (BattleStats) => ({ BattleStats, PlayersInfo: {}, revision: 1 });
+
+test('state round-trips through the battles and meta stores', async () => {
+  const adapter = new IndexedDBAdapter('roundTrip');
+  assert.equal(await adapter.load(), null);
+
+  await adapter.save(state({ a: battle(100), b: battle(200) }));
+  const loaded = await adapter.load();
+
+  assert.deepEqual(loaded.BattleStats, { a: battle(100), b: battle(200) });
+  assert.equal(loaded.revision, 1);
+});
+
+test('a save restores battles another tab removed from the shared store', async () => {
+  const widget = new IndexedDBAdapter('sharedStore');
+  const history = new IndexedDBAdapter('sharedStore');
+  const battles = { a: battle(100), b: battle(200), c: battle(300) };
+
+  await widget.save(state(battles));
+  await widget.load();
+
+  await history.clear();
+  await history.save(state({ a: battle(100) }));
+
+  await widget.save(state(battles));
+  assert.deepEqual((await history.load()).BattleStats, battles);
+});
+
+test('battles left out of a save are deleted and unchanged ones are not rewritten', async () => {
+  const adapter = new IndexedDBAdapter('changesOnly');
+  await adapter.save(state({ a: battle(100), b: battle(200), c: battle(300) }));
+
+  const db = await adapter.open();
+  const writes = [];
+  const transaction = db.transaction.bind(db);
+  db.transaction = (...args) => {
+    const tx = transaction(...args);
+    const objectStore = tx.objectStore.bind(tx);
+    tx.objectStore = (name) => {
+      const store = objectStore(name);
+      return { ...store, put: (record) => { writes.push(record.arenaId ?? record.key); return store.put(record); } };
+    };
+    return tx;
+  };
+
+  await adapter.save(state({ a: battle(150), c: battle(300) }));
+
+  assert.deepEqual(writes.sort(), ['a', 'state']);
+  assert.deepEqual(Object.keys((await adapter.load()).BattleStats).sort(), ['a', 'c']);
+});
@@ -0,0 +1,35 @@
+// Minimal stand-ins for the browser globals the modules touch at import and call time.
+
+export class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+
+  clear() {
+    this.items.clear();
+  }
+}
+
+export function installBrowserStubs({ url = 'https://widget.test/' } = {}) {
+  globalThis.localStorage = new MemoryStorage();
+  globalThis.sessionStorage = new MemoryStorage();
+  globalThis.window = globalThis.window || {};
+  setUrl(url);
+}
+
+export function setUrl(url) {
+  const parsed = new URL(url);
+  window.location = { href: parsed.href, search: parsed.search, hash: parsed.hash };
+}
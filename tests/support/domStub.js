@@ -0,0 +1,147 @@
+// A tiny DOM: enough for the renderers to build rows, and a serializer that shows
+// exactly what markup the browser would receive.
+
+const escapeText = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const escapeAttribute = (text) => escapeText(text).replace(/"/g, '&quot;');
+
+class StubClassList {
+  constructor(element) {
+    this.element = element;
+  }
+
+  get names() {
+    return this.element.className.split(/\s+/).filter(Boolean);
+  }
+
+  add(...names) {
+    this.element.className = [...new Set([...this.names, ...names])].join(' ');
+  }
+
+  remove(...names) {
+    this.element.className = this.names.filter(name => !names.includes(name)).join(' ');
+  }
+
+  toggle(name, force = !this.contains(name)) {
+    if (force) this.add(name); else this.remove(name);
+    return force;
+  }
+
+  contains(name) {
+    return this.names.includes(name);
+  }
+}
+
+export class StubElement {
+  constructor(tagName) {
+    this.tagName = tagName.toUpperCase();
+    this.className = '';
+    this.classList = new StubClassList(this);
+    this.children = [];
+    this.dataset = {};
+    this.style = { setProperty() {} };
+    this.attributes = {};
+    this.rawHtml = null;
+    this.text = null;
+    this.parentNode = null;
+  }
+
+  set innerHTML(html) {
+    this.children = [];
+    this.text = null;
+    this.rawHtml = html;
+  }
+
+  get innerHTML() {
+    return (this.rawHtml ?? '') + this.children.map(child => serialize(child)).join('');
+  }
+
+  set textContent(text) {
+    this.children = [];
+    this.rawHtml = null;
+    this.text = String(text);
+  }
+
+  get textContent() {
+    return this.text ?? '';
+  }
+
+  appendChild(child) {
+    if (typeof child !== 'string') {
+      child.parentNode?.removeChild(child);
+      child.parentNode = this;
+    }
+    this.children.push(child);
+    return child;
+  }
+
+  append(...children) {
+    children.forEach(child => this.appendChild(child));
+  }
+
+  removeChild(child) {
+    this.children = this.children.filter(existing => existing !== child);
+    child.parentNode = null;
+  }
+
+  remove() {
+    this.parentNode?.removeChild(this);
+  }
+
+  contains(node) {
+    for (let current = node; current; current = current.parentNode) {
+      if (current === this) return true;
+    }
+    return false;
+  }
+
+  // Elements written as markup cannot be queried; cells the renderers fill afterwards
+  // are materialized as children so their content is still serialized.
+  querySelector(selector) {
+    const className = selector.startsWith('.') ? selector.slice(1) : null;
+    if (!className || !this.rawHtml?.includes(className)) return null;
+
+    const element = new StubElement('td');
+    element.className = className;
+    this.appendChild(element);
+    return element;
+  }
+
+  addEventListener() {}
+}
+
+export function serialize(node) {
+  if (typeof node === 'string') return escapeText(node);
+
+  const tag = node.tagName.toLowerCase();
+  const attributes = [
+    node.className ? ` class="${escapeAttribute(node.className)}"` : '',
+    ...['title', 'value', 'placeholder'].map(name => node[name] !== undefined ? ` ${name}="${escapeAttribute(node[name])}"` : '')
+  ].join('');
+  const content = node.text !== null ? escapeText(node.text) : node.innerHTML;
+
+  return `<${tag}${attributes}>${content}</${tag}>`;
+}
+
+export function installDom() {
+  const elements = new Map();
+
+  globalThis.document = {
+    createElement: (tagName) => new StubElement(tagName),
+    getElementById: (id) => elements.get(id) || null,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    body: new StubElement('body')
+  };
+
+  return {
+    register(id, tagName = 'div') {
+      const element = new StubElement(tagName);
+      elements.set(id, element);
+      return element;
+    }
+  };
+}
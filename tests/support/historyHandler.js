@@ -0,0 +1,18 @@
+// A BattleUIHandler without its constructor (no DOM wiring), backed by a stubbed data manager.
+// Import it after installBrowserStubs(): the handler modules read storage when they load.
+import BattleUIHandler from '../../battle-history/scripts/battleUIHandler.js';
+import { ScoringEngine } from '../../battle-history/scripts/scoringEngine.js';
+
+export function createHistoryHandler(battles, dataManager = {}) {
+  return Object.assign(Object.create(BattleUIHandler.prototype), {
+    worstBattleId: null,
+    bestBattleId: null,
+    challengeCountedIds: new Set(),
+    playersTableStale: false,
+    dataManager: {
+      scoring: ScoringEngine.fromPreset('standard'),
+      getBattlesArray: () => battles,
+      ...dataManager
+    }
+  });
+}
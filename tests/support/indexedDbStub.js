@@ -0,0 +1,91 @@
+// In-memory stand-in for the parts of IndexedDB the storage adapter uses.
+// Requests run in order on the microtask queue; a transaction completes once no request is pending.
+
+class StubRequest {
+  constructor() {
+    this.result = undefined;
+    this.onsuccess = null;
+    this.onerror = null;
+  }
+}
+
+class StubTransaction {
+  constructor(database) {
+    this.database = database;
+    this.pending = 0;
+    this.oncomplete = null;
+    this.onerror = null;
+    this.onabort = null;
+  }
+
+  objectStore(name) {
+    const records = this.database.stores.get(name);
+    const keyPath = this.database.keyPaths.get(name);
+    const run = (operation) => this.request(operation);
+
+    return {
+      getAll: () => run(() => [...records.values()].map(record => structuredClone(record))),
+      getAllKeys: () => run(() => [...records.keys()]),
+      get: (key) => run(() => structuredClone(records.get(key))),
+      put: (record) => run(() => { records.set(record[keyPath], structuredClone(record)); }),
+      delete: (key) => run(() => { records.delete(key); }),
+      clear: () => run(() => { records.clear(); })
+    };
+  }
+
+  request(operation) {
+    const request = new StubRequest();
+    this.pending++;
+    queueMicrotask(() => {
+      request.result = operation();
+      request.onsuccess?.();
+      this.pending--;
+      queueMicrotask(() => {
+        if (this.pending === 0 && !this.completed) {
+          this.completed = true;
+          this.oncomplete?.();
+        }
+      });
+    });
+    return request;
+  }
+}
+
+class StubDatabase {
+  constructor() {
+    this.stores = new Map();
+    this.keyPaths = new Map();
+    this.objectStoreNames = { contains: name => this.stores.has(name) };
+  }
+
+  createObjectStore(name, { keyPath }) {
+    this.stores.set(name, new Map());
+    this.keyPaths.set(name, keyPath);
+  }
+
+  transaction() {
+    return new StubTransaction(this);
+  }
+}
+
+export function installIndexedDb() {
+  const databases = new Map();
+
+  globalThis.indexedDB = {
+    open(name) {
+      const request = new StubRequest();
+      queueMicrotask(() => {
+        if (!databases.has(name)) {
+          databases.set(name, new StubDatabase());
+          request.result = databases.get(name);
+          request.onupgradeneeded?.();
+        }
+        request.result = databases.get(name);
+        request.onsuccess?.();
+      });
+      return request;
+    }
+  };
+
+  return databases;
+}
@@ -0,0 +1,46 @@
+// Stand-in for a Socket.IO client. Emitted requests are recorded and answered by the test.
+
+export class StubSocket {
+  constructor() {
+    this.handlers = new Map();
+    this.requests = [];
+    this.connected = false;
+  }
+
+  on(event, handler) {
+    this.handlers.set(event, [...(this.handlers.get(event) || []), handler]);
+  }
+
+  trigger(event, payload) {
+    (this.handlers.get(event) || []).forEach(handler => handler(payload));
+  }
+
+  emit(event, payload, callback) {
+    this.requests.push({ event, payload, timeout: null, reply: callback });
+  }
+
+  // Socket.IO passes (error, response) to the callback of a timed emit.
+  timeout(ms) {
+    return {
+      emit: (event, payload, callback) => {
+        this.requests.push({ event, payload, timeout: ms, reply: response => callback(null, response), fail: () => callback(new Error('operation has timed out')) });
+      }
+    };
+  }
+
+  take(event) {
+    const index = this.requests.findIndex(request => request.event === event);
+    return index === -1 ? null : this.requests.splice(index, 1)[0];
+  }
+}
+
+export function installSocketIo() {
+  const sockets = [];
+  globalThis.io = () => {
+    const socket = new StubSocket();
+    sockets.push(socket);
+    return socket;
+  };
+  globalThis.performance = globalThis.performance || { now: () => Date.now() };
+  return sockets;
+}